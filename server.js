@@ -5,6 +5,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
+const { redactUrl } = require('./src/utils/redact');
 
 const authRoutes = require('./src/routes/auth');
 const profileRoutes = require('./src/routes/profile');
@@ -22,6 +23,9 @@ const badgesRoutes = require('./src/routes/badges');
 const squadRoutes = require('./src/routes/squad');
 const adminRoutes = require('./src/routes/admin');
 const researchRoutes = require('./src/routes/research');
+const accountRoutes = require('./src/routes/account');
+const connectionRoutes = require('./src/routes/connections');
+const { startWorker } = require('./src/services/jobQueue');
 
 const app = express();
 
@@ -37,6 +41,8 @@ app.use(
   })
 );
 
+// Keep credentials passed as query parameters (token, code, password, ...) out of the access log
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('dev'));
 
 // Health check
@@ -61,6 +67,8 @@ app.use('/api/badges', badgesRoutes);
 app.use('/api/squad', squadRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/research', researchRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/connections', connectionRoutes);
 
 // Global error handler
 // eslint-disable-next-line no-unused-vars
@@ -84,6 +92,9 @@ async function startServer() {
     // eslint-disable-next-line no-console
     console.log('Connected to MongoDB at:', MONGODB_URI);
 
+    // Background jobs (data exports, ...) run in the API process
+    startWorker();
+
     app.listen(PORT, () => {
       // eslint-disable-next-line no-console
       console.log(`Server listening on http://localhost:${PORT}`);
@@ -0,0 +1,8 @@
+const requireAuth = require('./requireAuth');
+
+// Identifies the caller when credentials are sent but lets anonymous requests through
+// with req.userId unset. Bad credentials are still rejected.
+module.exports = function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return requireAuth(req, res, next);
+};
@@ -1,20 +1,57 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
+const {
+  isPersonalAccessToken,
+  requiredScopeFor,
+  authenticatePersonalAccessToken,
+} = require('../services/personalAccessTokenService');
+const { permissionsForRoles } = require('../services/rbacService');
 
-module.exports = function requireAuth(req, res, next) {
-  console.log('ac');
+// Accepts either a session-bound JWT or a personal access token. Tokens only reach routes
+// their scopes cover; JWTs carry the user's full access.
+module.exports = async function requireAuth(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const [, token] = authHeader.split(' ');
+  if (!token) {
+    return res.status(401).json({ error: 'Missing Authorization header' });
+  }
+
+  let payload = null;
+  let user;
+  let personalAccessToken = null;
   try {
-    const authHeader = req.headers.authorization || '';
-    const [, token] = authHeader.split(' ');
-    if (!token) {
-      return res.status(401).json({ error: 'Missing Authorization header' });
+    if (isPersonalAccessToken(token)) {
+      ({ personalAccessToken, user } = await authenticatePersonalAccessToken(token, { ip: req.ip }));
+    } else {
+      ({ payload, user } = await verifyAccessToken(token, { ip: req.ip }));
     }
-    const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret-change-me');
-    req.userId = payload.sub;
-    req.userEmail = payload.email;
-    return next();
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    if (err.status === 401) {
+      return res.status(401).json({ error: err.message });
+    }
+    return next(err);
   }
-};
 
+  if (personalAccessToken) {
+    const requiredScope = requiredScopeFor(req);
+    if (!requiredScope || !personalAccessToken.scopes.includes(requiredScope)) {
+      return res.status(403).json({ error: 'Token lacks the required scope', requiredScope });
+    }
+  }
 
+  const roles = personalAccessToken ? user.roles : payload.roles;
+
+  req.userId = personalAccessToken ? user._id.toString() : payload.sub;
+  req.userEmail = personalAccessToken ? user.email : payload.email;
+  req.emailVerified = user.emailVerified !== false;
+  req.userRoles = Array.isArray(roles) && roles.length ? roles : ['learner'];
+  // Tokens only carry the permissions their scopes cover
+  req.permissions = permissionsForRoles(req.userRoles, {
+    scopes: personalAccessToken ? personalAccessToken.scopes : null,
+  });
+  req.twoFactorRequired = Boolean(user.twoFactor?.required);
+  req.authMethod = personalAccessToken ? 'personal_access_token' : 'jwt';
+  req.tokenScopes = personalAccessToken ? personalAccessToken.scopes : null;
+  req.sessionId = payload ? payload.sid : null;
+  req.tokenPayload = payload;
+  return next();
+};
@@ -0,0 +1,18 @@
+/**
+ * Allow the request through when the authenticated user holds any of the given roles.
+ * Accounts an admin has flagged as requiring 2FA must also have signed in with it.
+ * Must run after requireAuth.
+ * @param {...string} roles - Accepted roles
+ */
+module.exports = function requireRole(...roles) {
+  return function roleGuard(req, res, next) {
+    const userRoles = req.userRoles || [];
+    if (!roles.some((role) => userRoles.includes(role))) {
+      return res.status(403).json({ error: 'Insufficient role' });
+    }
+    if (req.twoFactorRequired && !req.tokenPayload?.mfa) {
+      return res.status(403).json({ error: 'Two-factor authentication required' });
+    }
+    return next();
+  };
+};
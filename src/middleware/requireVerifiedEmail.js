@@ -0,0 +1,7 @@
+// Blocks accounts that have not confirmed their email address. Must run after requireAuth.
+module.exports = function requireVerifiedEmail(req, res, next) {
+  if (req.emailVerified === false) {
+    return res.status(403).json({ error: 'Email address not verified' });
+  }
+  return next();
+};
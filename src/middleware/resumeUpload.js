@@ -0,0 +1,56 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { detectResumeType } = require('../utils/fileSniffer');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+const ALLOWED_EXTENSIONS = ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt', '.md', '.markdown'];
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    // Create directory if it doesn't exist
+    if (!fsSync.existsSync(UPLOAD_DIR)) {
+      fsSync.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: function (req, file, cb) {
+    // A first cut only: browsers report unreliable MIME types for these formats, and the
+    // contents are checked once the file is on disk
+    if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    const error = new Error('Only PDF, Word, OpenDocument, RTF, text and Markdown files are allowed');
+    error.status = 400;
+    return cb(error);
+  }
+});
+
+// Sets req.file.resumeType from the file's contents, rejecting anything we cannot read
+async function sniffResume(req, res, next) {
+  if (!req.file) return next();
+  try {
+    const resumeType = detectResumeType(await fs.readFile(req.file.path), req.file.originalname);
+    if (!resumeType) {
+      await fs.unlink(req.file.path);
+      return res.status(400).json({ error: 'File contents do not match a supported resume format' });
+    }
+    req.file.resumeType = resumeType;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Accepts a single resume upload in the "resume" field
+module.exports = [upload.single('resume'), sniffResume];
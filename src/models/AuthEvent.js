@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const AUTH_EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'login_blocked',
+  'lockout',
+  'unlock',
+  'password_reset',
+  'account_deleted',
+  'account_restored',
+];
+
+// Append-only audit trail of authentication activity
+const authEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: AUTH_EVENT_TYPES, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    email: { type: String, lowercase: true, trim: true },
+    ip: { type: String },
+    userAgent: { type: String },
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now, immutable: true, index: true },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('AuthEvent', authEventSchema);
+module.exports.AUTH_EVENT_TYPES = AUTH_EVENT_TYPES;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A mutual connection between two learners. It starts as a pending request from
+// requester to recipient; declined requests are deleted rather than kept.
+const connectionSchema = new mongoose.Schema(
+  {
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Both ids, sorted, so a pair can only ever have one connection between them
+    pairKey: { type: String, required: true, unique: true },
+    status: { type: String, enum: ['pending', 'accepted'], default: 'pending' },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model('Connection', connectionSchema);
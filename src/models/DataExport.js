@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A user's request for a copy of their personal data. The archive itself is written by a
+// background job and removed again when the export expires.
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ['queued', 'running', 'ready', 'failed'], default: 'queued' },
+    fileName: { type: String },
+    fileSize: { type: Number },
+    error: { type: String },
+    completedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
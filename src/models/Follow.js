@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One-way follow: follower sees followee's shared activity without a connection
+const followSchema = new mongoose.Schema(
+  {
+    follower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    followee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+followSchema.index({ follower: 1, followee: 1 }, { unique: true });
+
+module.exports = mongoose.model('Follow', followSchema);
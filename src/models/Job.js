@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Background work picked up by the job queue worker (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: ['queued', 'running', 'done', 'failed'], default: 'queued' },
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are kept for a week for troubleshooting
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters keyed per account ('account:<email>') and per client ('ip:<addr>')
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    nextAttemptAt: { type: Date },
+    lockedUntil: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
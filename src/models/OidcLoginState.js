@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization requests, keyed by the state parameter
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    state: { type: String, required: true, unique: true },
+    providerId: { type: String, required: true },
+    nonce: { type: String, required: true },
+    codeVerifier: { type: String, required: true },
+    redirectUri: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
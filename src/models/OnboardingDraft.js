@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Unvalidated, in-progress answers for one onboarding step. Removed once the step is
+// submitted, or by the TTL index when abandoned.
+const onboardingDraftSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    step: { type: Number, required: true },
+    answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false, minimize: false }
+);
+
+onboardingDraftSchema.index({ userId: 1, step: 1 }, { unique: true });
+onboardingDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OnboardingDraft', onboardingDraftSchema);
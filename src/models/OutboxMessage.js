@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Mail captured by the default development/test transport instead of being delivered
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true, lowercase: true, trim: true, index: true },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String },
+    template: { type: String },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    tokenHash: { type: String, required: true, unique: true },
+    // First characters of the raw token, so users can tell their tokens apart
+    prefix: { type: String, required: true },
+    scopes: { type: [String], default: [] },
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // All tokens produced by rotating the same login share a family, so reuse of a
+    // rotated token can revoke every descendant at once. The family's Session is keyed on it.
+    family: { type: String, required: true, index: true },
+    // Whether the login that started this family passed two-factor authentication
+    mfa: { type: Boolean, default: false },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedByHash: { type: String },
+    createdByIp: { type: String },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
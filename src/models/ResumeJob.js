@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// An uploaded resume being turned into onboarding data by a background job
+const resumeJobSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: {
+      type: String,
+      enum: ['queued', 'extracting', 'analysing', 'done', 'failed'],
+      default: 'queued',
+    },
+    // onboarding prefills the wizard; profile-update is diffed against a finished profile
+    purpose: { type: String, enum: ['onboarding', 'profile-update'], default: 'onboarding' },
+    originalName: { type: String },
+    fileType: { type: String, required: true },
+    // Removed from disk (and unset here) once the job finishes
+    filePath: { type: String },
+    // Kept between attempts so an LLM retry does not re-read the file
+    resumeText: { type: String, select: false },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    completedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+resumeJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ResumeJob', resumeJobSchema);
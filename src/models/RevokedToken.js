@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Denylist of access-token ids revoked before their natural expiry.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -1,22 +1,114 @@
 const mongoose = require('mongoose');
 
+const ROADMAP_STATUSES = ['active', 'archived'];
+const STEP_TYPES = ['theory', 'practice', 'project', 'quiz', 'review'];
+const GENERATORS = ['template', 'basic-llm', 'research-agent'];
+
+// A resource named by the generator; the LLM often gives a title without a link
+const resourceSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    url: { type: String, trim: true },
+    type: { type: String, trim: true }, // article, video, course, book
+    description: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
 const roadmapStepSchema = new mongoose.Schema(
   {
     day: { type: Number, required: true },
+    week: { type: Number },
     topic: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    type: { type: String, enum: STEP_TYPES, default: 'theory' },
+    duration: { type: String, trim: true },
+    difficulty: { type: String, trim: true },
+    optional: { type: Boolean, default: false },
+    concepts: { type: [String], default: [] },
+    resources: { type: [resourceSchema], default: [] },
     lessonIds: { type: [String], default: [] },
   },
   { _id: false }
 );
 
+const projectSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    week: { type: Number },
+    estimatedHours: { type: Number },
+    skills: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const milestoneSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    week: { type: Number },
+  },
+  { _id: false }
+);
+
+// Web pages the research agent based the roadmap on
+const sourceSchema = new mongoose.Schema(
+  {
+    title: { type: String, trim: true },
+    url: { type: String, trim: true },
+    source: { type: String, trim: true },
+    snippet: { type: String },
+    qualityScore: { type: Number },
+  },
+  { _id: false }
+);
+
+// How a roadmap was produced, so roadmaps from different generators or prompt
+// revisions can be told apart
+const provenanceSchema = new mongoose.Schema(
+  {
+    generator: { type: String, enum: GENERATORS, required: true },
+    model: { type: String, default: null },
+    promptVersion: { type: String, default: null },
+    methodology: { type: String, default: null }, // research agent: web-enhanced-llm or llm-fallback
+    sources: { type: [sourceSchema], default: [] },
+    generatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A learner can follow several roadmaps at once, one active roadmap per skill.
+// Regenerating for a skill replaces its active roadmap; archived ones are kept.
 const roadmapSchema = new mongoose.Schema(
   {
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    // Canonical skill name from the taxonomy
+    skill: { type: String, required: true, trim: true },
+    status: { type: String, enum: ROADMAP_STATUSES, default: 'active' },
+    archivedAt: { type: Date },
+    overview: { type: String, default: null },
+    prerequisites: { type: [String], default: [] },
     steps: { type: [roadmapStepSchema], default: [] },
+    projects: { type: [projectSchema], default: [] },
+    milestones: { type: [milestoneSchema], default: [] },
+    additionalResources: { type: [resourceSchema], default: [] },
+    provenance: { type: provenanceSchema },
+    // Latest RoadmapVersion number; 0 until the first version is recorded
+    version: { type: Number, default: 0 },
   },
   { timestamps: true, versionKey: false }
 );
 
-module.exports = mongoose.model('Roadmap', roadmapSchema);
+roadmapSchema.index(
+  { userId: 1, skill: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_roadmap_per_skill' }
+);
 
+const Roadmap = mongoose.model('Roadmap', roadmapSchema);
+Roadmap.ROADMAP_STATUSES = ROADMAP_STATUSES;
+Roadmap.STEP_TYPES = STEP_TYPES;
+Roadmap.GENERATORS = GENERATORS;
 
+module.exports = Roadmap;
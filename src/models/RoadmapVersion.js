@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const VERSION_REASONS = ['generated', 'weak-area-review', 'lesson-attached', 'rollback', 'baseline'];
+const VERSION_ACTORS = ['learner', 'system'];
+
+// Immutable snapshot of a roadmap's content after each change. Versions are numbered
+// per roadmap from 1 and never edited; rolling back records a new version.
+const roadmapVersionSchema = new mongoose.Schema(
+  {
+    roadmapId: { type: mongoose.Schema.Types.ObjectId, ref: 'Roadmap', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    version: { type: Number, required: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Who made the change, what did it (a generator, the adaptive engine, ...) and why
+    changedBy: { type: String, enum: VERSION_ACTORS, required: true },
+    source: { type: String, required: true },
+    reason: { type: String, enum: VERSION_REASONS, required: true },
+    note: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+roadmapVersionSchema.index({ roadmapId: 1, version: -1 }, { unique: true });
+
+roadmapVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function rejectUpdates() {
+  throw new Error('Roadmap versions are immutable');
+});
+
+const RoadmapVersion = mongoose.model('RoadmapVersion', roadmapVersionSchema);
+RoadmapVersion.VERSION_REASONS = VERSION_REASONS;
+RoadmapVersion.VERSION_ACTORS = VERSION_ACTORS;
+
+module.exports = RoadmapVersion;
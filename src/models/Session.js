@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One per login, i.e. per refresh-token family. Access tokens carry the session id.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    family: { type: String, required: true, unique: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastActiveAt: { type: Date, default: Date.now },
+    lastIp: { type: String },
+    revokedAt: { type: Date, default: null },
+    // Pushed forward whenever the family's refresh token is rotated
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
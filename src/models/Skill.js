@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const SKILL_KINDS = ['category', 'skill', 'concept'];
+
+// Canonical entry in the skill taxonomy. Free-text skills and topics are resolved to
+// an entry by slug, name or alias; parent and related refer to other entries' slugs.
+const skillSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    kind: { type: String, enum: SKILL_KINDS, default: 'skill' },
+    // Lowercased spellings that resolve to this entry
+    aliases: { type: [{ type: String, trim: true, lowercase: true }], default: [], index: true },
+    parent: { type: String, trim: true, lowercase: true, default: null, index: true },
+    related: { type: [{ type: String, trim: true, lowercase: true }], default: [] },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+const Skill = mongoose.model('Skill', skillSchema);
+Skill.SKILL_KINDS = SKILL_KINDS;
+
+module.exports = Skill;
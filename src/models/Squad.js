@@ -1,14 +1,27 @@
 const mongoose = require('mongoose');
 
+// Pending invitation for a learner to join; removed when answered
+const squadInviteSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const squadSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true },
     members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    invites: { type: [squadInviteSchema], default: [] },
   },
   { timestamps: true, versionKey: false }
 );
 
+squadSchema.index({ 'invites.userId': 1 });
+
 module.exports = mongoose.model('Squad', squadSchema);
 
 
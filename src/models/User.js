@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../services/rbacService');
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,9 +18,53 @@ const userSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Accounts created through an external identity provider may not have a password
     passwordHash: {
       type: String,
-      required: true,
+      required() {
+        return !this.identities?.length;
+      },
+    },
+    identities: [{
+      _id: false,
+      provider: { type: String, required: true },
+      subject: { type: String, required: true },
+      email: { type: String, lowercase: true, trim: true },
+      linkedAt: { type: Date, default: Date.now },
+    }],
+    // Accounts created before verification existed have no value and are treated as verified
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    roles: {
+      type: [{ type: String, enum: ROLES }],
+      default: ['learner'],
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      // Set by an admin; accounts holding the admin role must then sign in with 2FA
+      required: { type: Boolean, default: false },
+      secret: { type: String }, // encrypted, see totpService
+      pendingSecret: { type: String }, // encrypted, awaiting confirmation
+      recoveryCodeHashes: { type: [String], default: [] },
+      lastUsedCounter: { type: Number, default: -1 },
+      enabledAt: { type: Date },
+    },
+    // Bumped to invalidate every access token issued before the change
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the user deletes their account; the account is purged at purgeAfter
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    purgeAfter: {
+      type: Date,
     },
     createdAt: {
       type: Date,
@@ -32,6 +77,11 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 module.exports = mongoose.model('User', userSchema);
 
 
@@ -95,7 +95,8 @@ const userProfileSchema = new mongoose.Schema(
     currentKnowledge: { type: String, trim: true },
     
     // Tracking current step in onboarding process
-    onboardingStep: { type: Number, default: 0 }, // 0 = Get Started, 1-9 for each step
+    onboardingStep: { type: Number, default: 0 }, // 0 = Get Started, 1-9 for each step, 10 = done
+    onboardingSkippedSteps: { type: [Number], default: [] },
     onboardingComplete: { type: Boolean, default: false },
   },
   { timestamps: true, versionKey: false }
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Single-use, expiring tokens delivered to a user's inbox. Only the hash is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['email_verification', 'password_reset', 'account_unlock'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,111 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, param, query, validationResult } = require('express-validator');
+const requireAuth = require('../middleware/requireAuth');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const { recordAuthEvent } = require('../services/authAuditService');
+const { scheduleAccountDeletion } = require('../services/accountDeletionService');
+const { requestDataExport, serializeDataExport, resolveDownload } = require('../services/dataExportService');
+
+const router = express.Router();
+
+function apiBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+// DELETE /api/account - delete the account; it is purged for good after a grace period
+router.delete('/', requireAuth, [body('password').optional().isString()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Accounts with a password must confirm it; SSO-only accounts rely on the fresh login
+    if (user.passwordHash) {
+      const valid = req.body.password ? await bcrypt.compare(req.body.password, user.passwordHash) : false;
+      if (!valid) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    }
+
+    const purgeAfter = await scheduleAccountDeletion(user);
+    await recordAuthEvent(req, 'account_deleted', { userId: user._id, email: user.email });
+
+    return res.status(202).json({
+      message: 'Account deleted. It can be restored by support until it is purged.',
+      purgeAfter,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/account/exports - start building an archive of the user's personal data
+router.post('/exports', requireAuth, async (req, res, next) => {
+  try {
+    const { dataExport, created } = await requestDataExport(req.userId);
+    return res.status(created ? 202 : 200).json({ export: serializeDataExport(dataExport, apiBaseUrl(req)) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/account/exports - list the user's exports
+router.get('/exports', requireAuth, async (req, res, next) => {
+  try {
+    const dataExports = await DataExport.find({ userId: req.userId }).sort({ createdAt: -1 });
+    return res.json({ exports: dataExports.map((e) => serializeDataExport(e, apiBaseUrl(req))) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/account/exports/:id - export status, with a fresh download link once ready
+router.get('/exports/:id', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, userId: req.userId });
+    if (!dataExport) return res.status(404).json({ error: 'Export not found' });
+
+    return res.json({ export: serializeDataExport(dataExport, apiBaseUrl(req)) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/account/exports/:id/download - download the archive; authorized by the signed link
+router.get(
+  '/exports/:id/download',
+  [param('id').isMongoId(), query('token').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const download = await resolveDownload(req.params.id, req.query.token);
+      if (!download) {
+        return res.status(404).json({ error: 'Download link is invalid or has expired' });
+      }
+
+      const fileName = `skillforge-data-${download.dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+      return res.download(download.filePath, fileName, (err) => {
+        if (err && !res.headersSent) next(err);
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,26 +1,260 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
 const User = require('../models/User');
 const Squad = require('../models/Squad');
+const AuthEvent = require('../models/AuthEvent');
+const Skill = require('../models/Skill');
+const { ROLES } = require('../services/rbacService');
+const { invalidateAccessTokens } = require('../services/tokenService');
+const { restoreAccount } = require('../services/accountDeletionService');
+const { recordAuthEvent } = require('../services/authAuditService');
+const { listSkills, createSkill, updateSkill, deleteSkill } = require('../services/skillTaxonomyService');
 
 const router = express.Router();
 
-// Minimal admin list endpoints (no RBAC yet)
-router.get('/users', requireAuth, async (req, res, next) => {
+// Every admin endpoint requires the admin role
+router.use(requireAuth, requireRole('admin'));
+
+router.get('/users', async (req, res, next) => {
   try {
-    console.log(req);
-    const users = await User.find({}, { name: 1, email: 1 }).lean();
+    const users = await User.find({}, { name: 1, email: 1, roles: 1, deletedAt: 1, purgeAfter: 1 }).lean();
     return res.json({ users });
   } catch (e) { return next(e); }
 });
 
-router.get('/squads', requireAuth, async (req, res, next) => {
+router.get('/squads', async (req, res, next) => {
   try {
     const squads = await Squad.find({}, { name: 1, members: 1 }).lean();
     return res.json({ squads });
   } catch (e) { return next(e); }
 });
 
-module.exports = router;
+// POST /api/admin/users/:id/roles - grant a role to a user
+router.post(
+  '/users/:id/roles',
+  [param('id').isMongoId(), body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $addToSet: { roles: req.body.role } },
+        { new: true, projection: { name: 1, email: 1, roles: 1 } }
+      );
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      // Force outstanding access tokens to be refreshed so the new claim is picked up
+      await invalidateAccessTokens(user._id);
+
+      return res.json({ user });
+    } catch (e) { return next(e); }
+  }
+);
+
+// DELETE /api/admin/users/:id/roles/:role - revoke a role from a user
+router.delete(
+  '/users/:id/roles/:role',
+  [param('id').isMongoId(), param('role').isIn(ROLES)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, role } = req.params;
+      if (role === 'learner') {
+        return res.status(400).json({ error: 'The learner role cannot be revoked' });
+      }
+      if (role === 'admin') {
+        const otherAdmins = await User.countDocuments({ _id: { $ne: id }, roles: 'admin' });
+        if (otherAdmins === 0) {
+          return res.status(409).json({ error: 'Cannot revoke the last admin' });
+        }
+      }
+
+      const user = await User.findByIdAndUpdate(
+        id,
+        { $pull: { roles: role } },
+        { new: true, projection: { name: 1, email: 1, roles: 1 } }
+      );
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      await invalidateAccessTokens(user._id);
+
+      return res.json({ user });
+    } catch (e) { return next(e); }
+  }
+);
+
+// PUT /api/admin/users/:id/two-factor - require (or stop requiring) 2FA for an admin account
+router.put(
+  '/users/:id/two-factor',
+  [param('id').isMongoId(), body('required').isBoolean().toBoolean()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (!user.roles.includes('admin')) {
+        return res.status(400).json({ error: 'Two-factor requirements apply to admin accounts only' });
+      }
+
+      user.twoFactor.required = req.body.required;
+      await user.save();
+
+      return res.json({
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          roles: user.roles,
+          twoFactor: { enabled: user.twoFactor.enabled, required: user.twoFactor.required },
+        },
+      });
+    } catch (e) { return next(e); }
+  }
+);
+
+// POST /api/admin/users/:id/restore - cancel a pending account deletion during the grace period
+router.post('/users/:id/restore', [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await restoreAccount(req.params.id);
+    if (!user) return res.status(404).json({ error: 'No pending deletion for this user' });
 
+    await recordAuthEvent(req, 'account_restored', { userId: user._id, email: user.email });
 
+    return res.json({ user: { _id: user._id, name: user.name, email: user.email, roles: user.roles } });
+  } catch (e) { return next(e); }
+});
+
+// GET /api/admin/auth-events - browse the authentication audit trail
+router.get(
+  '/auth-events',
+  [
+    query('userId').optional().isMongoId(),
+    query('email').optional().isEmail(),
+    query('type').optional().isIn(AuthEvent.AUTH_EVENT_TYPES),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { userId, email, type, limit = 100 } = req.query;
+      const filter = {};
+      if (userId) filter.userId = userId;
+      if (email) filter.email = String(email).toLowerCase();
+      if (type) filter.type = type;
+
+      const events = await AuthEvent.find(filter).sort({ createdAt: -1 }).limit(Number(limit)).lean();
+      return res.json({ events });
+    } catch (e) { return next(e); }
+  }
+);
+
+// GET /api/admin/skills - browse the skill taxonomy
+router.get(
+  '/skills',
+  [
+    query('kind').optional().isIn(Skill.SKILL_KINDS),
+    query('parent').optional().isString(),
+    query('q').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { kind, parent, q } = req.query;
+      const skills = await listSkills({ kind, parent, q });
+      return res.json({ skills });
+    } catch (e) { return next(e); }
+  }
+);
+
+// POST /api/admin/skills - add a skill, concept or category to the taxonomy
+router.post(
+  '/skills',
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('slug').optional().isString().trim(),
+    body('kind').optional().isIn(Skill.SKILL_KINDS).withMessage(`Kind must be one of: ${Skill.SKILL_KINDS.join(', ')}`),
+    body('aliases').optional().isArray(),
+    body('aliases.*').isString(),
+    body('parent').optional({ values: 'null' }).isString().trim().toLowerCase(),
+    body('related').optional().isArray(),
+    body('related.*').isString().trim().toLowerCase(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { slug, name, kind, aliases, parent, related } = req.body;
+      const skill = await createSkill({ slug, name, kind, aliases, parent, related });
+      return res.status(201).json({ skill });
+    } catch (e) { return next(e); }
+  }
+);
+
+// PATCH /api/admin/skills/:slug - rename, re-parent or change aliases and related skills
+router.patch(
+  '/skills/:slug',
+  [
+    param('slug').isString().trim().toLowerCase(),
+    body('name').optional().isString().trim().notEmpty(),
+    body('kind').optional().isIn(Skill.SKILL_KINDS).withMessage(`Kind must be one of: ${Skill.SKILL_KINDS.join(', ')}`),
+    body('aliases').optional().isArray(),
+    body('aliases.*').isString(),
+    body('parent').optional({ values: 'null' }).isString().trim().toLowerCase(),
+    body('related').optional().isArray(),
+    body('related.*').isString().trim().toLowerCase(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, kind, aliases, parent, related } = req.body;
+      const skill = await updateSkill(req.params.slug, { name, kind, aliases, parent, related });
+      if (!skill) return res.status(404).json({ error: 'Skill not found' });
+      return res.json({ skill });
+    } catch (e) { return next(e); }
+  }
+);
+
+// DELETE /api/admin/skills/:slug - remove an entry from the taxonomy
+router.delete('/skills/:slug', [param('slug').isString().trim().toLowerCase()], async (req, res, next) => {
+  try {
+    const removed = await deleteSkill(req.params.slug);
+    if (!removed) return res.status(404).json({ error: 'Skill not found' });
+    return res.json({ message: 'Skill removed' });
+  } catch (e) { return next(e); }
+});
+
+module.exports = router;
@@ -1,10 +1,40 @@
 const express = require('express');
-const { param } = require('express-validator');
+const { param, query, validationResult } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
-const { getUserStats } = require('../services/analyticsService');
+const { getUserStats, getSkillGap } = require('../services/analyticsService');
+const { CAREER_ROLES } = require('../services/careerRoles');
 
 const router = express.Router();
 
+// GET /api/analytics/roles - the role catalogue skill gaps are measured against
+router.get('/roles', requireAuth, (req, res) => {
+  return res.json({ roles: CAREER_ROLES });
+});
+
+// GET /api/analytics/skill-gap?role=<slug> - score the learner against their target role
+router.get(
+  '/skill-gap',
+  requireAuth,
+  [query('role').optional().isIn(CAREER_ROLES.map((role) => role.slug)).withMessage('Unknown role')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const gap = await getSkillGap(req.userId, { role: req.query.role });
+      if (!gap) {
+        return res.status(404).json({
+          error: 'No catalogue role matches your target role; set targetRole or pick a role',
+          roles: CAREER_ROLES.map(({ slug, title }) => ({ slug, title })),
+        });
+      }
+      return res.json(gap);
+    } catch (err) { return next(err); }
+  }
+);
+
 router.get('/:userId', requireAuth, [param('userId').isString().isLength({ min: 1 })], async (req, res, next) => {
   try {
     if (req.params.userId !== req.userId) return res.status(403).json({ error: 'Forbidden' });
@@ -14,5 +44,3 @@ router.get('/:userId', requireAuth, [param('userId').isString().isLength({ min:
 });
 
 module.exports = router;
-
-
@@ -1,15 +1,98 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 const User = require('../models/User');
 const UserProfile = require('../models/UserProfile');
+const requireAuth = require('../middleware/requireAuth');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+} = require('../services/mailService');
+const { getLoginBlock, recordLoginFailure, clearAccountFailures } = require('../services/loginThrottleService');
+const { recordAuthEvent } = require('../services/authAuditService');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../services/twoFactorService');
+const {
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveUserForIdentity,
+} = require('../services/oidcService');
+const {
+  SCOPES,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+} = require('../services/personalAccessTokenService');
+const {
+  issueTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+} = require('../services/tokenService');
+const { listSessions, revokeSession } = require('../services/sessionService');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const EMAIL_VERIFICATION_TTL_MS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000;
+
+function serializeUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  };
+}
+
+async function rejectBlockedLogin(req, res, email, block) {
+  await recordAuthEvent(req, 'login_blocked', { email, reason: block.reason });
+  res.set('Retry-After', String(block.retryAfterSeconds));
+  return res.status(429).json({
+    error: block.reason === 'locked'
+      ? 'Account temporarily locked after too many failed attempts'
+      : 'Too many login attempts. Please wait before trying again.',
+    retryAfter: block.retryAfterSeconds,
+  });
+}
+
+async function rejectDeletedAccount(req, res, user) {
+  await recordAuthEvent(req, 'login_blocked', { userId: user._id, email: user.email, reason: 'account_deleted' });
+  return res.status(403).json({
+    error: 'This account is scheduled for deletion',
+    purgeAfter: user.purgeAfter,
+  });
+}
+
+async function registerFailedLogin(req, email, user, reason) {
+  const { accountLockedUntil } = await recordLoginFailure(email, req.ip);
+  await recordAuthEvent(req, 'login_failure', { userId: user?._id, email, reason });
+  if (accountLockedUntil) {
+    await recordAuthEvent(req, 'lockout', { userId: user?._id, email });
+    if (user) {
+      const unlockToken = await createUserToken(user._id, 'account_unlock', accountLockedUntil - Date.now());
+      await sendAccountUnlockEmail(user, unlockToken, accountLockedUntil);
+    }
+  }
+}
+
+async function startEmailVerification(user) {
+  const token = await createUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  await sendVerificationEmail(user, token);
+}
 
 // POST /api/auth/signup
 router.post(
@@ -36,7 +119,7 @@ router.post(
       const salt = await bcrypt.genSalt(12);
       const passwordHash = await bcrypt.hash(password, salt);
 
-      const user = await User.create({ name, email, passwordHash });
+      const user = await User.create({ name, email, passwordHash, emailVerified: false });
 
       // Create a corresponding UserProfile entry
       await UserProfile.create({
@@ -45,14 +128,16 @@ router.post(
         email: email, // Initialize with email from signup
       });
 
-      const token = jwt.sign({ sub: user._id.toString(), email }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRES_IN,
-      });
+      try {
+        await startEmailVerification(user);
+      } catch (mailErr) {
+        // The user can request another link via /resend-verification
+        console.error('Error sending verification email:', mailErr);
+      }
 
-      return res.status(201).json({
-        user: { id: user._id, name: user.name, email: user.email },
-        token,
-      });
+      const tokens = await issueTokens(user, { ip: req.ip, userAgent: req.get('user-agent') });
+
+      return res.status(201).json({ user: serializeUser(user), ...tokens });
     } catch (err) {
       return next(err);
     }
@@ -65,32 +150,158 @@ router.post(
   [body('email').isEmail().normalizeEmail(), body('password').isString()],
   async (req, res, next) => {
     try {
-      console.log(req);
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
       const { email, password } = req.body;
-      const user = await User.findOne({ email });
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+
+      const block = await getLoginBlock(email, req.ip);
+      if (block) {
+        return rejectBlockedLogin(req, res, email, block);
       }
 
-      const valid = await bcrypt.compare(password, user.passwordHash);
+      const user = await User.findOne({ email });
+      const valid = user?.passwordHash ? await bcrypt.compare(password, user.passwordHash) : false;
       if (!valid) {
+        await registerFailedLogin(req, email, user, user ? 'bad_password' : 'unknown_account');
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+      if (user.deletedAt) {
+        return rejectDeletedAccount(req, res, user);
+      }
 
-      const token = jwt.sign(
-        { sub: user._id.toString(), email: user.email },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Password is correct but a second factor is still needed; failure counters are
+      // only cleared once the whole login succeeds so codes cannot be brute-forced.
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user),
+        });
+      }
+
+      await clearAccountFailures(email);
+      await recordAuthEvent(req, 'login_success', { userId: user._id, email });
+
+      const tokens = await issueTokens(user, { ip: req.ip, userAgent: req.get('user-agent') });
+
+      return res.json({ user: serializeUser(user), ...tokens });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /api/auth/oidc/providers - identity providers available for sign-in
+router.get('/oidc/providers', (req, res) => res.json({ providers: listProviders() }));
+
+// GET /api/auth/oidc/:provider/authorize - start an authorization-code + PKCE flow
+router.get(
+  '/oidc/:provider/authorize',
+  [query('redirectUri').optional().isURL({ require_tld: false })],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { authorizationUrl, state } = await createAuthorizationRequest(req.params.provider, {
+        redirectUri: req.query.redirectUri,
+      });
+
+      return res.json({ authorizationUrl, state });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/oidc/:provider/callback - redeem the authorization code and sign in
+router.post(
+  '/oidc/:provider/callback',
+  [body('code').isString().notEmpty(), body('state').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const identity = await completeAuthorization(req.params.provider, req.body);
+      const { user, created } = await resolveUserForIdentity(identity);
+      if (user.deletedAt) {
+        return rejectDeletedAccount(req, res, user);
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user),
+        });
+      }
+
+      await recordAuthEvent(req, 'login_success', { userId: user._id, email: user.email, reason: `oidc:${identity.provider}` });
+
+      const tokens = await issueTokens(user, { ip: req.ip, userAgent: req.get('user-agent') });
+
+      return res.status(created ? 201 : 200).json({ user: serializeUser(user), ...tokens });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/login/2fa - complete a login with a TOTP or recovery code
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!code && !recoveryCode) {
+        return res.status(400).json({ error: 'A code or recovery code is required' });
+      }
+
+      const challenge = verifyTwoFactorChallenge(challengeToken);
+      const user = await User.findById(challenge.sub);
+      if (!user || !user.twoFactor?.enabled || (user.tokenVersion || 0) !== (challenge.ver || 0)) {
+        return res.status(401).json({ error: 'Invalid or expired challenge token' });
+      }
+      if (user.deletedAt) {
+        return rejectDeletedAccount(req, res, user);
+      }
+
+      const block = await getLoginBlock(user.email, req.ip);
+      if (block) {
+        return rejectBlockedLogin(req, res, user.email, block);
+      }
+
+      const method = await verifySecondFactor(user, { code, recoveryCode });
+      if (!method) {
+        await registerFailedLogin(req, user.email, user, 'bad_2fa_code');
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      await clearAccountFailures(user.email);
+      await recordAuthEvent(req, 'login_success', { userId: user._id, email: user.email, reason: method });
+
+      const tokens = await issueTokens(user, { ip: req.ip, userAgent: req.get('user-agent'), mfa: true });
 
       return res.json({
-        user: { id: user._id, name: user.name, email: user.email },
-        token,
+        user: serializeUser(user),
+        ...tokens,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
       });
     } catch (err) {
       return next(err);
@@ -98,6 +309,399 @@ router.post(
   }
 );
 
+// POST /api/auth/refresh - exchange a refresh token for a new token pair
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, { ip: req.ip });
+
+      return res.json({ user: serializeUser(user), ...tokens });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/logout - revoke the current access token and end its session; a refresh
+// token from another login can be passed to end that one too
+router.post(
+  '/logout',
+  requireAuth,
+  [body('refreshToken').optional().isString()],
+  async (req, res, next) => {
+    try {
+      await revokeAccessToken(req.tokenPayload);
+      if (req.sessionId) {
+        await revokeSession(req.sessionId, req.userId);
+      }
+      if (req.body.refreshToken) {
+        await revokeRefreshToken(req.body.refreshToken, req.userId);
+      }
+      return res.status(204).end();
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/logout-all - end every session the user has on every device
+router.post('/logout-all', requireAuth, async (req, res, next) => {
+  try {
+    await revokeAllUserTokens(req.userId);
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/auth/verify-email - confirm an email address with the emailed token
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const consumed = await consumeUserToken(req.body.token, 'email_verification');
+      if (!consumed) {
+        return res.status(400).json({ error: 'Invalid or expired verification token' });
+      }
+
+      await User.updateOne({ _id: consumed.userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+
+      return res.json({ message: 'Email verified successfully' });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/resend-verification - send a new verification link to the current user
+router.post('/resend-verification', requireAuth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await startEmailVerification(user);
+
+    return res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/auth/forgot-password - email a password reset link
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (user && !user.deletedAt) {
+        const token = await createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MS);
+        await sendPasswordResetEmail(user, token);
+      }
+
+      // Same response either way so the endpoint cannot be used to discover accounts
+      return res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/reset-password - set a new password using the emailed token
+router.post(
+  '/reset-password',
+  [body('token').isString().notEmpty(), body('password').isString().isLength({ min: 8 })],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const consumed = await consumeUserToken(req.body.token, 'password_reset');
+      if (!consumed) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      const salt = await bcrypt.genSalt(12);
+      const passwordHash = await bcrypt.hash(req.body.password, salt);
+
+      // Receiving the reset email proves ownership of the address
+      await User.updateOne(
+        { _id: consumed.userId },
+        { passwordHash, emailVerified: true, emailVerifiedAt: new Date() }
+      );
+      await revokeAllUserTokens(consumed.userId);
+
+      const user = await User.findById(consumed.userId, { email: 1 });
+      if (user) {
+        await clearAccountFailures(user.email);
+        await recordAuthEvent(req, 'password_reset', { userId: user._id, email: user.email });
+      }
+
+      return res.json({ message: 'Password reset successfully' });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/unlock - lift a lockout early using the emailed unlock token
+router.post(
+  '/unlock',
+  [body('token').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const consumed = await consumeUserToken(req.body.token, 'account_unlock');
+      if (!consumed) {
+        return res.status(400).json({ error: 'Invalid or expired unlock token' });
+      }
+
+      const user = await User.findById(consumed.userId, { email: 1 });
+      if (user) {
+        await clearAccountFailures(user.email);
+        await recordAuthEvent(req, 'unlock', { userId: user._id, email: user.email });
+      }
+
+      return res.json({ message: 'Account unlocked' });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/2fa/setup - start TOTP enrolment for the current user
+router.post('/2fa/setup', requireAuth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(user);
+
+    return res.json({ secret, otpauthUri });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/auth/2fa/confirm - finish enrolment with a code from the authenticator app
+router.post(
+  '/2fa/confirm',
+  requireAuth,
+  [body('code').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.twoFactor?.enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      const recoveryCodes = await confirmEnrollment(user, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: 'Invalid two-factor code' });
+      }
+
+      // Recovery codes are only ever shown here
+      return res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/2fa/recovery-codes - replace recovery codes (requires a current code)
+router.post(
+  '/2fa/recovery-codes',
+  requireAuth,
+  [body('code').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user?.twoFactor?.enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+        return res.status(400).json({ error: 'Invalid two-factor code' });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(user);
+
+      return res.json({ recoveryCodes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/2fa/disable - turn 2FA off (requires password and a code)
+router.post(
+  '/2fa/disable',
+  requireAuth,
+  [
+    body('password').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user?.twoFactor?.enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (user.twoFactor.required) {
+        return res.status(403).json({ error: 'Two-factor authentication is required for this account' });
+      }
+
+      const { password, code, recoveryCode } = req.body;
+      const validPassword = user.passwordHash ? await bcrypt.compare(password, user.passwordHash) : false;
+      if (!validPassword || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+        return res.status(400).json({ error: 'Invalid credentials' });
+      }
+
+      await disableTwoFactor(user);
+
+      return res.json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/auth/tokens - create a scoped personal access token (shown only once)
+router.post(
+  '/tokens',
+  requireAuth,
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be among: ${SCOPES.join(', ')}`),
+    body('expiresInDays').optional().isInt({ min: 1, max: 365 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      const { token, personalAccessToken } = await createPersonalAccessToken(req.userId, { name, scopes, expiresInDays });
+
+      return res.status(201).json({ token, personalAccessToken });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /api/auth/tokens - list the current user's active personal access tokens
+router.get('/tokens', requireAuth, async (req, res, next) => {
+  try {
+    const tokens = await listPersonalAccessTokens(req.userId);
+    return res.json({ tokens, availableScopes: SCOPES });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// DELETE /api/auth/tokens/:id - revoke a personal access token
+router.delete('/tokens/:id', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await revokePersonalAccessToken(req.userId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Token not found' });
+
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/auth/sessions - list the devices the user is signed in on
+router.get('/sessions', requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.userId);
+    return res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent || null,
+        ip: session.lastIp || session.ip || null,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        current: String(session._id) === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - sign out one device
+router.delete('/sessions/:id', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await revokeSession(req.params.id, req.userId);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
 
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const Challenge = require('../models/Challenge');
 const { awardBadge } = require('../services/badgeService');
 
@@ -13,7 +14,7 @@ router.get('/', requireAuth, async (req, res, next) => {
   } catch (err) { return next(err); }
 });
 
-router.post('/join', requireAuth, [body('id').isString().isLength({ min: 1 })], async (req, res, next) => {
+router.post('/join', requireAuth, requireVerifiedEmail, [body('id').isString().isLength({ min: 1 })], async (req, res, next) => {
   try {
     const { id } = req.body;
     const ch = await Challenge.findOne({ id });
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const Challenge = require('../models/Challenge');
 const UserChallenge = require('../models/UserChallenge');
 const { awardPoints } = require('../services/pointsService');
@@ -32,7 +33,7 @@ router.get('/', requireAuth, async (req, res, next) => {
 });
 
 // POST /api/challenge/join - Join a challenge
-router.post('/join', requireAuth, [
+router.post('/join', requireAuth, requireVerifiedEmail, [
   body('id').isString().withMessage('Challenge ID is required')
 ], async (req, res, next) => {
   try {
@@ -85,7 +86,7 @@ router.post('/join', requireAuth, [
 });
 
 // POST /api/challenge/progress - Update challenge progress
-router.post('/progress', requireAuth, [
+router.post('/progress', requireAuth, requireVerifiedEmail, [
   body('id').isString().withMessage('Challenge ID is required'),
   body('progress').isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100')
 ], async (req, res, next) => {
@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  sendConnectionRequest,
+  respondToConnectionRequest,
+  removeConnection,
+  listConnections,
+  serializeConnections,
+  followUser,
+  unfollowUser,
+  listFollows,
+} = require('../services/connectionService');
+
+const router = express.Router();
+
+// GET /api/connections - accepted connections
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    return res.json({ connections: await listConnections(req.userId) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/connections/requests?direction=incoming|outgoing - pending requests (incoming by default)
+router.get(
+  '/requests',
+  requireAuth,
+  [query('direction').optional().isIn(['incoming', 'outgoing'])],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const direction = req.query.direction || 'incoming';
+      return res.json({ requests: await listConnections(req.userId, { status: 'pending', direction }) });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/connections/requests - ask another learner to connect
+router.post('/requests', requireAuth, [body('userId').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const connection = await sendConnectionRequest(req.userId, req.body.userId);
+    const [serialized] = await serializeConnections([connection], req.userId);
+    // A crossing request connects immediately
+    return res.status(connection.status === 'accepted' ? 200 : 201).json({ connection: serialized });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/connections/requests/:id/accept - accept an incoming request
+router.post('/requests/:id/accept', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const connection = await respondToConnectionRequest(req.userId, req.params.id, true);
+    const [serialized] = await serializeConnections([connection], req.userId);
+    return res.json({ connection: serialized });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/connections/requests/:id/decline - decline an incoming request
+router.post('/requests/:id/decline', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await respondToConnectionRequest(req.userId, req.params.id, false);
+    return res.json({ message: 'Connection request declined' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/connections/followers - learners following the user
+router.get('/followers', requireAuth, async (req, res, next) => {
+  try {
+    return res.json({ followers: await listFollows(req.userId, 'followers') });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/connections/following - learners the user follows
+router.get('/following', requireAuth, async (req, res, next) => {
+  try {
+    return res.json({ following: await listFollows(req.userId, 'following') });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /api/connections/following - follow a learner
+router.post('/following', requireAuth, [body('userId').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await followUser(req.userId, req.body.userId);
+    return res.status(201).json({ message: 'Following' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// DELETE /api/connections/following/:userId - unfollow a learner
+router.delete('/following/:userId', requireAuth, [param('userId').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const removed = await unfollowUser(req.userId, req.params.userId);
+    if (!removed) return res.status(404).json({ error: 'Not following this user' });
+    return res.json({ message: 'Unfollowed' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// DELETE /api/connections/:id - remove a connection or withdraw a sent request
+router.delete('/:id', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const removed = await removeConnection(req.userId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Connection not found' });
+    return res.json({ message: 'Connection removed' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
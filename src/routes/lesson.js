@@ -1,5 +1,5 @@
 const express = require('express');
-const { param, body } = require('express-validator');
+const { param, body, validationResult } = require('express-validator');
 const Lesson = require('../models/Lesson');
 const requireAuth = require('../middleware/requireAuth');
 const { generateLesson } = require('../services/lessonLlmService');
@@ -28,11 +28,17 @@ router.post(
     body('skill').optional().isString(),
     body('difficulty').optional().isString(),
     body('day').optional().isInt({ min: 1 }),
+    body('roadmapId').optional().isMongoId(),
   ],
   async (req, res, next) => {
     try {
-      const { topic, skill, difficulty, day } = req.body;
-      const lesson = await generateLesson({ userId: req.userId, topic, skill, difficulty, day });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { topic, skill, difficulty, day, roadmapId } = req.body;
+      const lesson = await generateLesson({ userId: req.userId, topic, skill, difficulty, day, roadmapId });
       return res.status(201).json({ lesson });
     } catch (err) {
       return next(err);
@@ -1,7 +1,19 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const fs = require('fs').promises;
+const { body, validationResult, param, query } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
+const optionalAuth = require('../middleware/optionalAuth');
+const resumeUpload = require('../middleware/resumeUpload');
 const UserProfile = require('../models/UserProfile');
+const ResumeJob = require('../models/ResumeJob');
+const { createResumeJob, serializeResumeJob } = require('../services/resumeJobService');
+const { DIFF_FIELDS, diffProfileWithResume, changedFields, applyProfileDiff } = require('../services/profileDiffService');
+const { seedConceptsFromSkills } = require('../services/memoryService');
+const { toJsonResume, fromJsonResume } = require('../services/jsonResumeService');
+const { validateProfileFields } = require('../services/onboardingFlow');
+const { visibilityOf, buildPublicProfile, getPublicProfile } = require('../services/publicProfileService');
+const { scoreProfile } = require('../services/profileCompletenessService');
+const { canonicalSkill, normalizeProfileSkills } = require('../services/skillTaxonomyService');
 
 const router = express.Router();
 
@@ -37,7 +49,7 @@ router.post(
 
       const profile = await UserProfile.findOneAndUpdate(
         { userId },
-        { fullName, email, dateOfBirth, gender, country, city, occupation, company, skill, level, dailyTime, goal, learningGoal },
+        { fullName, email, dateOfBirth, gender, country, city, occupation, company, skill: await canonicalSkill(skill), level, dailyTime, goal, learningGoal },
         { upsert: true, new: true, setDefaultsOnInsert: true }
       );
 
@@ -48,6 +60,220 @@ router.post(
   }
 );
 
+// GET /api/profile/export?format=jsonresume - Download the profile as a JSON Resume document
+router.get(
+  '/export',
+  requireAuth,
+  [query('format').isIn(['jsonresume']).withMessage('Supported formats: jsonresume')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const profile = await UserProfile.findOne({ userId: req.userId }).lean();
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      res.attachment('resume.json');
+      return res.status(200).json(toJsonResume(profile));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/profile/import - Fill the profile from a JSON Resume document (the request body)
+router.post(
+  '/import',
+  requireAuth,
+  [body().isObject().withMessage('Request body must be a JSON Resume document')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { fields, unmapped } = await fromJsonResume(req.body);
+      // Same rules as the onboarding steps, so imported values are normalised identically
+      const { accepted, rejected } = await validateProfileFields(fields);
+
+      let profile = await UserProfile.findOne({ userId: req.userId });
+      if (!profile) profile = new UserProfile({ userId: req.userId });
+      profile.set(await normalizeProfileSkills(accepted));
+      await profile.save();
+
+      return res.status(200).json({ profile, imported: Object.keys(accepted), rejected, unmapped });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/profile/resume-updates - Queue a newer resume to be compared against the finished profile
+router.post(
+  '/resume-updates',
+  requireAuth,
+  resumeUpload,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const profile = await UserProfile.findOne({ userId: req.userId }, { onboardingComplete: 1 }).lean();
+      if (!profile || !profile.onboardingComplete) {
+        await fs.unlink(req.file.path);
+        return res.status(409).json({ error: 'Finish onboarding before updating your profile from a resume' });
+      }
+
+      const resumeJob = await createResumeJob(req.userId, {
+        path: req.file.path,
+        originalName: req.file.originalname,
+        fileType: req.file.resumeType,
+      }, { purpose: 'profile-update' });
+
+      return res.status(202).json({
+        jobId: resumeJob._id,
+        status: resumeJob.status,
+        statusUrl: `${req.baseUrl}/resume-updates/${resumeJob._id}`,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+async function findProfileUpdateJob(req) {
+  return ResumeJob.findOne({ _id: req.params.jobId, userId: req.userId, purpose: 'profile-update' });
+}
+
+// GET /api/profile/resume-updates/:jobId - Analysis status and, once done, the diff against the current profile
+router.get(
+  '/resume-updates/:jobId',
+  requireAuth,
+  [param('jobId').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const resumeJob = await findProfileUpdateJob(req);
+      if (!resumeJob) return res.status(404).json({ error: 'Resume update not found' });
+
+      const job = serializeResumeJob(resumeJob);
+      if (resumeJob.status !== 'done') {
+        return res.status(200).json({ job, diff: null, changedFields: [] });
+      }
+
+      // Diffed on every read so it reflects edits made since the upload
+      const profile = await UserProfile.findOne({ userId: req.userId }).lean();
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+      const diff = await diffProfileWithResume(profile, resumeJob.result);
+
+      return res.status(200).json({ job, diff, changedFields: changedFields(diff) });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/profile/resume-updates/:jobId/apply - Accept the whole diff, or only the listed fields
+router.post(
+  '/resume-updates/:jobId/apply',
+  requireAuth,
+  [
+    param('jobId').isMongoId(),
+    body('fields').optional().isArray({ min: 1 }),
+    body('fields.*').optional().isIn(DIFF_FIELDS),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const resumeJob = await findProfileUpdateJob(req);
+      if (!resumeJob) return res.status(404).json({ error: 'Resume update not found' });
+      if (resumeJob.status !== 'done') {
+        return res.status(409).json({ error: 'Resume analysis has not finished', status: resumeJob.status });
+      }
+
+      const profile = await UserProfile.findOne({ userId: req.userId });
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+      const diff = await diffProfileWithResume(profile, resumeJob.result);
+      const requested = req.body.fields || DIFF_FIELDS;
+      const applied = changedFields(diff).filter((field) => requested.includes(field));
+
+      const touchedSkills = await applyProfileDiff(profile, diff, applied);
+      if (applied.length > 0) await profile.save();
+      await seedConceptsFromSkills(req.userId, touchedSkills);
+
+      const remaining = await diffProfileWithResume(profile, resumeJob.result);
+      return res.status(200).json({ applied, profile, diff: remaining, changedFields: changedFields(remaining) });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /api/profile/completeness - how complete the profile is for personalisation, and what to fill in next
+router.get('/completeness', requireAuth, async (req, res, next) => {
+  try {
+    const profile = await UserProfile.findOne({ userId: req.userId }).lean();
+    return res.json(scoreProfile(profile));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/profile/preview - The owner's public profile as others see it, and who can see it
+router.get('/preview', requireAuth, async (req, res, next) => {
+  try {
+    const profile = await UserProfile.findOne({ userId: req.userId }).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    return res.json({
+      profile: await buildPublicProfile(profile),
+      profilePrivacy: profile.profilePrivacy || null,
+      visibleTo: visibilityOf(profile),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/profile/public/:userId - Public profile; anonymous callers see public profiles only
+router.get(
+  '/public/:userId',
+  optionalAuth,
+  [param('userId').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const profile = await getPublicProfile(req.params.userId, req.userId || null);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      return res.json({ profile });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 // GET /api/profile/:id - fetch profile by user id; must match authenticated user
 router.get(
   '/:id',
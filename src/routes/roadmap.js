@@ -1,33 +1,81 @@
 const express = require('express');
-const { param } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
-const { generateRoadmapForUser, getRoadmap } = require('../services/roadmapService');
+const Roadmap = require('../models/Roadmap');
+const {
+  generateRoadmapForUser,
+  listRoadmaps,
+  getRoadmap,
+  resolveRoadmap,
+  archiveRoadmap,
+} = require('../services/roadmapService');
+const { listVersions, getVersion, diffVersions, rollbackRoadmap } = require('../services/roadmapVersionService');
 const { updateRoadmapForWeakAreas, getRecommendations } = require('../services/adaptiveEngine');
 const { generateRoadmapWithLLM } = require('../services/roadmapLlmService');
 
 const router = express.Router();
 
+// Which skill to generate for (defaults to the profile's skill) and an optional display name
+const generateValidators = [
+  body('skill').optional().isString().trim().notEmpty(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+];
+
 // POST /api/roadmap/generate -> generate for current user from profile
-router.post('/generate', requireAuth,async (req, res, next) => {
+router.post('/generate', requireAuth, generateValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { skill, name } = req.body;
+    const roadmap = await generateRoadmapForUser(req.userId, { skill, name });
+    return res.json({ roadmap });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/roadmap?status=active|archived -> the user's roadmaps, most recent first
+router.get('/', requireAuth, [query('status').optional().isIn(Roadmap.ROADMAP_STATUSES)], async (req, res, next) => {
   try {
-    console.log(req);
-    console.log(req.userId);
-    const roadmap = await generateRoadmapForUser(req.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const roadmaps = await listRoadmaps(req.userId, { status: req.query.status });
+    return res.json({ roadmaps });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/roadmap/:id -> fetch one of the user's roadmaps
+router.get('/:id', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    // Older clients fetch /api/roadmap/<own userId>; give them their latest active roadmap
+    const roadmap = req.params.id === req.userId
+      ? await resolveRoadmap(req.userId)
+      : await getRoadmap(req.userId, req.params.id);
+    if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
     return res.json({ roadmap });
   } catch (err) {
     return next(err);
   }
 });
 
-// GET /api/roadmap/:userId -> fetch roadmap (must be own)
-router.get('/:userId',requireAuth, [param('userId').isString().isLength({ min: 1 })], async (req, res, next) => {
+// POST /api/roadmap/:id/archive -> stop following a roadmap; it stays in the list
+router.post('/:id/archive', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
   try {
-    console.log(req);
-    console.log(req.userId);
-    // if (req.params.userId !== req.body.userId) {
-    //   return res.status(403).json({ error: 'Forbidden' });
-    // }
-    const roadmap = await getRoadmap(req.params.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const roadmap = await archiveRoadmap(req.userId, req.params.id);
     if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
     return res.json({ roadmap });
   } catch (err) {
@@ -35,12 +83,96 @@ router.get('/:userId',requireAuth, [param('userId').isString().isLength({ min: 1
   }
 });
 
+// GET /api/roadmap/:id/versions -> the roadmap's change history, newest first
+router.get('/:id/versions', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const roadmap = await getRoadmap(req.userId, req.params.id);
+    if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
+    return res.json({ current: roadmap.version, versions: await listVersions(roadmap) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/roadmap/:id/versions/:version -> one version's full snapshot
+router.get(
+  '/:id/versions/:version',
+  requireAuth,
+  [param('id').isMongoId(), param('version').isInt({ min: 1 }).toInt()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const roadmap = await getRoadmap(req.userId, req.params.id);
+      if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
+      const version = await getVersion(roadmap, req.params.version);
+      if (!version) return res.status(404).json({ error: 'Version not found' });
+      return res.json({ version });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /api/roadmap/:id/diff?from=<version>&to=<version> -> step-level changes (to defaults to the latest)
+router.get(
+  '/:id/diff',
+  requireAuth,
+  [param('id').isMongoId(), query('from').isInt({ min: 1 }), query('to').optional().isInt({ min: 1 })],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const roadmap = await getRoadmap(req.userId, req.params.id);
+      if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
+      const to = req.query.to !== undefined ? Number(req.query.to) : undefined;
+      const diff = await diffVersions(roadmap, Number(req.query.from), to);
+      return res.json({ diff });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /api/roadmap/:id/rollback -> restore an earlier version, keeping lessons on steps that remain
+router.post(
+  '/:id/rollback',
+  requireAuth,
+  [param('id').isMongoId(), body('version').isInt({ min: 1 }).toInt()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const roadmap = await getRoadmap(req.userId, req.params.id);
+      if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
+      await rollbackRoadmap(roadmap, req.body.version);
+      return res.json({ roadmap });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 module.exports = router;
 
 // POST /api/roadmap/update -> update roadmap using memory bank
-router.post('/update', async (req, res, next) => {
+router.post('/update', requireAuth, [body('roadmapId').optional().isMongoId()], async (req, res, next) => {
   try {
-    const roadmap = await updateRoadmapForWeakAreas(req.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const roadmap = await updateRoadmapForWeakAreas(req.userId, req.body.roadmapId);
     if (!roadmap) return res.status(404).json({ error: 'Roadmap not found' });
     return res.json({ roadmap });
   } catch (err) {
@@ -49,7 +181,7 @@ router.post('/update', async (req, res, next) => {
 });
 
 // GET /api/roadmap/recommendations -> short list of suggestions
-router.get('/recommendations/list', async (req, res, next) => {
+router.get('/recommendations/list', requireAuth, async (req, res, next) => {
   try {
     const recs = await getRecommendations(req.userId);
     return res.json({ recommendations: recs });
@@ -58,14 +190,17 @@ router.get('/recommendations/list', async (req, res, next) => {
   }
 });
 
-// POST /api/roadmap/generate-llm -> use Ollama to create roadmap
-router.post('/generate-llm', async (req, res, next) => {
+// POST /api/roadmap/generate-llm -> use Ollama to create roadmap; useResearchAgent grounds it in web sources
+router.post('/generate-llm', requireAuth, [...generateValidators, body('useResearchAgent').optional().isBoolean().toBoolean()], async (req, res, next) => {
   try {
-    const roadmap = await generateRoadmapWithLLM(req.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { skill, name, useResearchAgent } = req.body;
+    const roadmap = await generateRoadmapWithLLM(req.userId, { skill, name, useResearchAgent });
     return res.json({ roadmap });
   } catch (err) {
     return next(err);
   }
 });
-
-
@@ -1,29 +1,98 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const requireAuth = require('../middleware/requireAuth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const Squad = require('../models/Squad');
+const { areConnected } = require('../services/connectionService');
 
 const router = express.Router();
 
 router.get('/', requireAuth, async (req, res, next) => {
-  try { const squads = await Squad.find({}).lean(); return res.json({ squads }); } catch (e) { return next(e); }
+  try { const squads = await Squad.find({}, { invites: 0 }).lean(); return res.json({ squads }); } catch (e) { return next(e); }
 });
 
-router.post('/create', requireAuth, [body('name').isString().isLength({ min: 2 })], async (req, res, next) => {
+router.post('/create', requireAuth, requireVerifiedEmail, [body('name').isString().isLength({ min: 2 })], async (req, res, next) => {
   try {
     const squad = await Squad.create({ name: req.body.name, members: [req.userId], createdBy: req.userId });
     return res.status(201).json({ squad });
   } catch (e) { return next(e); }
 });
 
-router.post('/join', requireAuth, [body('name').isString().isLength({ min: 2 })], async (req, res, next) => {
+router.post('/join', requireAuth, requireVerifiedEmail, [body('name').isString().isLength({ min: 2 })], async (req, res, next) => {
   try {
-    const squad = await Squad.findOneAndUpdate({ name: req.body.name }, { $addToSet: { members: req.userId } }, { new: true });
+    const squad = await Squad.findOneAndUpdate({ name: req.body.name }, { $addToSet: { members: req.userId } }, { new: true, projection: { invites: 0 } });
     if (!squad) return res.status(404).json({ error: 'Squad not found' });
     return res.json({ squad });
   } catch (e) { return next(e); }
 });
 
+// GET /api/squad/invites - squads the user has been invited to
+router.get('/invites', requireAuth, async (req, res, next) => {
+  try {
+    const squads = await Squad.find({ 'invites.userId': req.userId }, { name: 1, members: 1, invites: 1 }).lean();
+    const invites = squads.map((squad) => {
+      const invite = squad.invites.find((entry) => entry.userId.toString() === req.userId);
+      return { squadId: squad._id, name: squad.name, memberCount: squad.members.length, invitedBy: invite.invitedBy, createdAt: invite.createdAt };
+    });
+    return res.json({ invites });
+  } catch (e) { return next(e); }
+});
+
+// POST /api/squad/:id/invites - invite one of your connections to a squad you belong to
+router.post('/:id/invites', requireAuth, requireVerifiedEmail, [param('id').isMongoId(), body('userId').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const squad = await Squad.findOne({ _id: req.params.id, members: req.userId });
+    if (!squad) return res.status(404).json({ error: 'Squad not found' });
+    if (!(await areConnected(req.userId, req.body.userId))) {
+      return res.status(403).json({ error: 'You can only invite your connections' });
+    }
+    if (squad.members.some((member) => member.toString() === req.body.userId)) {
+      return res.status(409).json({ error: 'Already a member of this squad' });
+    }
+    if (squad.invites.some((invite) => invite.userId.toString() === req.body.userId)) {
+      return res.status(409).json({ error: 'Already invited' });
+    }
+
+    squad.invites.push({ userId: req.body.userId, invitedBy: req.userId });
+    await squad.save();
+    return res.status(201).json({ message: 'Invitation sent' });
+  } catch (e) { return next(e); }
+});
+
+// POST /api/squad/:id/invites/accept - join a squad you were invited to
+router.post('/:id/invites/accept', requireAuth, requireVerifiedEmail, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const squad = await Squad.findOneAndUpdate(
+      { _id: req.params.id, 'invites.userId': req.userId },
+      { $pull: { invites: { userId: req.userId } }, $addToSet: { members: req.userId } },
+      { new: true, projection: { invites: 0 } }
+    );
+    if (!squad) return res.status(404).json({ error: 'Invitation not found' });
+    return res.json({ squad });
+  } catch (e) { return next(e); }
+});
+
+// POST /api/squad/:id/invites/decline - turn down a squad invitation
+router.post('/:id/invites/decline', requireAuth, [param('id').isMongoId()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const result = await Squad.updateOne(
+      { _id: req.params.id, 'invites.userId': req.userId },
+      { $pull: { invites: { userId: req.userId } } }
+    );
+    if (!result.modifiedCount) return res.status(404).json({ error: 'Invitation not found' });
+    return res.json({ message: 'Invitation declined' });
+  } catch (e) { return next(e); }
+});
+
 module.exports = router;
 
 
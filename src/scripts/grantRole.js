@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { ROLES } = require('../services/rbacService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/skillforge';
+
+// Usage: npm run grant-role -- <email> <role>
+// Bootstraps the first admin, after which roles are managed through /api/admin.
+async function run() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run grant-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $addToSet: { roles: role }, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      console.error('User not found:', email);
+      process.exit(1);
+    }
+    console.log(`Granted ${role} to ${user.email}. Roles: ${user.roles.join(', ')}`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
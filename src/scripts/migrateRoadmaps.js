@@ -0,0 +1,60 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Roadmap = require('../models/Roadmap');
+const UserProfile = require('../models/UserProfile');
+const { canonicalSkill } = require('../services/skillTaxonomyService');
+const { recordVersion } = require('../services/roadmapVersionService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/skillforge';
+
+// Usage: npm run migrate:roadmaps
+// Roadmaps used to be one per user (unique userId). Drops that index, gives existing
+// roadmaps a skill, name and active status, then builds the new indexes. Roadmaps
+// without any version history get a baseline version to diff and roll back to.
+// Safe to re-run.
+async function run() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+
+    const indexes = await Roadmap.collection.indexes().catch(() => []);
+    const legacy = indexes.find((index) => index.unique && Object.keys(index.key).join() === 'userId');
+    if (legacy) {
+      await Roadmap.collection.dropIndex(legacy.name);
+      console.log(`Dropped index ${legacy.name}`);
+    }
+
+    let updated = 0;
+    const cursor = Roadmap.find({ skill: { $exists: false } }, { userId: 1, steps: 1 }).lean().cursor();
+    for await (const roadmap of cursor) {
+      // Generated topics look like "<skill>: <level> Day <n>"; fall back to the profile
+      const profile = await UserProfile.findOne({ userId: roadmap.userId }, { skill: 1 }).lean();
+      const fromTopic = roadmap.steps?.[0]?.topic?.split(':')[0];
+      const skill = await canonicalSkill(profile?.skill || fromTopic || 'General Skill');
+      await Roadmap.updateOne(
+        { _id: roadmap._id },
+        { $set: { skill, name: `${skill} roadmap`, status: 'active' } }
+      );
+      updated += 1;
+    }
+    console.log(`Roadmaps updated: ${updated}`);
+
+    await Roadmap.syncIndexes();
+    console.log('Indexes in sync');
+
+    let baselined = 0;
+    for await (const roadmap of Roadmap.find({ version: { $in: [0, null] } }).cursor()) {
+      await recordVersion(roadmap, { reason: 'baseline', source: 'migration', changedBy: 'system' });
+      baselined += 1;
+    }
+    console.log(`Baseline versions recorded: ${baselined}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
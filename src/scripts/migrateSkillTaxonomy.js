@@ -0,0 +1,98 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const UserProfile = require('../models/UserProfile');
+const Lesson = require('../models/Lesson');
+const SkillMemoryBank = require('../models/SkillMemoryBank');
+const {
+  seedTaxonomy,
+  loadTaxonomy,
+  canonicalSkill,
+  canonicalSkillList,
+  normalizeProfileSkills,
+} = require('../services/skillTaxonomyService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/skillforge';
+
+// Usage: npm run migrate:skills [-- --dry-run]
+// Seeds the skill taxonomy from the built-in dictionary, then rewrites free-text skills
+// on profiles, lessons and memory banks to their canonical names. Safe to re-run.
+const PROFILE_FIELDS = ['skill', 'primarySkillCategory', 'skillsToLearn', 'relatedSkills', 'prioritySkills', 'currentSkillLevels', 'skillAssessments'];
+
+async function migrateProfiles(dryRun) {
+  let changed = 0;
+  const cursor = UserProfile.find({}, Object.fromEntries(PROFILE_FIELDS.map((field) => [field, 1]))).cursor();
+  for await (const profile of cursor) {
+    const current = profile.toObject();
+    const normalized = await normalizeProfileSkills(current);
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (current[field] === undefined) continue;
+      if (JSON.stringify(current[field]) !== JSON.stringify(normalized[field])) updates[field] = normalized[field];
+    }
+    if (!Object.keys(updates).length) continue;
+    changed += 1;
+    if (!dryRun) await UserProfile.updateOne({ _id: profile._id }, { $set: updates });
+  }
+  return changed;
+}
+
+async function migrateLessons(dryRun) {
+  let changed = 0;
+  const cursor = Lesson.find({}, { skill: 1, concepts: 1 }).lean().cursor();
+  for await (const lesson of cursor) {
+    const skill = await canonicalSkill(lesson.skill);
+    const concepts = await canonicalSkillList(lesson.concepts || []);
+    if (skill === lesson.skill && JSON.stringify(concepts) === JSON.stringify(lesson.concepts || [])) continue;
+    changed += 1;
+    if (!dryRun) await Lesson.updateOne({ _id: lesson._id }, { $set: { skill, concepts } });
+  }
+  return changed;
+}
+
+// Spellings of the same concept collapse into one, keeping the strongest level
+async function migrateMemoryBanks(dryRun) {
+  let changed = 0;
+  const cursor = SkillMemoryBank.find({}, { concepts: 1 }).lean().cursor();
+  for await (const bank of cursor) {
+    const merged = new Map();
+    for (const concept of bank.concepts) {
+      const topic = await canonicalSkill(concept.topic);
+      const key = topic.toLowerCase();
+      const existing = merged.get(key);
+      if (!existing) merged.set(key, { topic, strengthLevel: concept.strengthLevel });
+      else existing.strengthLevel = Math.max(existing.strengthLevel, concept.strengthLevel);
+    }
+    const concepts = [...merged.values()];
+    if (JSON.stringify(concepts) === JSON.stringify(bank.concepts.map(({ topic, strengthLevel }) => ({ topic, strengthLevel })))) continue;
+    changed += 1;
+    if (!dryRun) await SkillMemoryBank.updateOne({ _id: bank._id }, { $set: { concepts } });
+  }
+  return changed;
+}
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    if (!dryRun) {
+      const inserted = await seedTaxonomy();
+      console.log(`Taxonomy: ${inserted} entries added`);
+    }
+    const { entries } = await loadTaxonomy({ force: true });
+    console.log(`Normalising against ${entries.length} taxonomy entries${dryRun ? ' (dry run)' : ''}`);
+
+    console.log(`Profiles updated: ${await migrateProfiles(dryRun)}`);
+    console.log(`Lessons updated: ${await migrateLessons(dryRun)}`);
+    console.log(`Memory banks updated: ${await migrateMemoryBanks(dryRun)}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
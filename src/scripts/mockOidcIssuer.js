@@ -0,0 +1,110 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect issuer for local development and testing of /api/auth/oidc.
+// It approves every authorization request without a login screen; pass ?login_hint=<email>
+// (and optionally &name=<display name>) on the authorize URL to pick the identity.
+//
+//   npm run mock-oidc
+//   OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO","issuer":"http://localhost:4010",
+//     "clientId":"skillforge","redirectUri":"http://localhost:4200/auth/oidc/mock/callback"}]'
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+const accessTokens = new Map();
+
+function subjectFor(email) {
+  return crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  const email = String(req.query.login_hint || 'mock.user@example.com').toLowerCase();
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    email,
+    name: req.query.name || 'Mock User',
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  return res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !grant) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (grant.clientId !== client_id || grant.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const sub = subjectFor(grant.email);
+  const accessToken = crypto.randomBytes(16).toString('base64url');
+  accessTokens.set(accessToken, { sub, email: grant.email, name: grant.name });
+
+  const idToken = jwt.sign(
+    { sub, email: grant.email, email_verified: true, name: grant.name, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: client_id, expiresIn: '5m' }
+  );
+
+  return res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const [, token] = (req.headers.authorization || '').split(' ');
+  const info = accessTokens.get(token);
+  if (!info) return res.status(401).json({ error: 'invalid_token' });
+  return res.json({ ...info, email_verified: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer listening on ${ISSUER}`);
+});
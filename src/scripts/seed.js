@@ -46,7 +46,7 @@ async function run() {
         console.log('Profile exists for:', user.email);
       }
 
-      const roadmap = await generateRoadmapForUser(user._id);
+      const roadmap = await generateRoadmapForUser(user._id, { changedBy: 'system' });
       console.log('Ensured roadmap for:', user.email, roadmap._id.toString());
     }
 
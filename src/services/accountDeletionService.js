@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const OutboxMessage = require('../models/OutboxMessage');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { revokeAllUserTokens } = require('./tokenService');
+const { purgeUserData } = require('./userDataService');
+const { deleteDataExports } = require('./dataExportService');
+const { clearAccountFailures } = require('./loginThrottleService');
+
+const GRACE_PERIOD_MS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+function deletionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Soft-delete an account: sign it out everywhere, block further logins and schedule the purge
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be purged
+ */
+async function scheduleAccountDeletion(user) {
+  if (user.deletedAt) {
+    throw deletionError('Account is already scheduled for deletion', 409);
+  }
+
+  user.deletedAt = new Date();
+  user.purgeAfter = new Date(user.deletedAt.getTime() + GRACE_PERIOD_MS);
+  await user.save();
+
+  await revokeAllUserTokens(user._id);
+  await enqueue('account.purge', { userId: user._id.toString() }, { runAt: user.purgeAfter });
+
+  return user.purgeAfter;
+}
+
+/**
+ * Cancel a pending deletion during the grace period
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The restored user, or null if no deletion is pending
+ */
+async function restoreAccount(userId) {
+  return User.findOneAndUpdate(
+    { _id: userId, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { purgeAfter: 1 } },
+    { new: true }
+  );
+}
+
+async function purgeAccount({ userId }) {
+  // Restored accounts, and jobs that outlived a restore-and-delete cycle, are left alone
+  const user = await User.findOne({ _id: userId, deletedAt: { $ne: null }, purgeAfter: { $lte: new Date() } });
+  if (!user) return;
+
+  await deleteDataExports(user._id);
+  await OutboxMessage.deleteMany({ to: user.email });
+  await clearAccountFailures(user.email);
+  await purgeUserData(user._id);
+}
+
+registerHandler('account.purge', purgeAccount);
+
+module.exports = { scheduleAccountDeletion, restoreAccount };
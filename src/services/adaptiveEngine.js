@@ -1,24 +1,37 @@
-const Roadmap = require('../models/Roadmap');
 const SkillMemoryBank = require('../models/SkillMemoryBank');
-
-async function updateRoadmapForWeakAreas(userId) {
+const { resolveRoadmap } = require('./roadmapService');
+const { recordVersion } = require('./roadmapVersionService');
+
+/**
+ * Prepend a review day for a weak concept to one of the user's roadmaps
+ * @param {string} userId - The user ID
+ * @param {string} [roadmapId] - Roadmap to update; defaults to the most recent active one
+ * @returns {Promise<Object|null>} Roadmap, or null when the user has no active roadmap
+ */
+async function updateRoadmapForWeakAreas(userId, roadmapId) {
   const bank = await SkillMemoryBank.findOne({ userId });
-  const roadmap = await Roadmap.findOne({ userId });
+  const roadmap = await resolveRoadmap(userId, { roadmapId });
   if (!roadmap) return null;
 
-  const weakTopics = (bank?.concepts || [])
+  const weakConcepts = (bank?.concepts || [])
     .filter((c) => c.strengthLevel < 50)
-    .map((c) => c.topic);
+    .sort((a, b) => a.strengthLevel - b.strengthLevel);
 
-  if (weakTopics.length === 0) return roadmap;
+  if (weakConcepts.length === 0) return roadmap;
 
-  // Simple heuristic: prepend a review day for the weakest topic
-  const weakest = (bank?.concepts || []).sort((a, b) => a.strengthLevel - b.strengthLevel)[0];
-  if (!weakest) return roadmap;
+  // Simple heuristic: prepend a review day for the weakest topic, preferring topics
+  // that belong to this roadmap's skill over weak spots in other skills
+  const belongs = (c) => {
+    const topic = c.topic.toLowerCase();
+    return topic === roadmap.skill.toLowerCase() || roadmap.steps.some((s) => s.topic.toLowerCase().includes(topic));
+  };
+  const weakest = weakConcepts.find(belongs) || weakConcepts[0];
 
   const reviewStep = {
     day: 0,
     topic: `Review ${weakest.topic}`,
+    type: 'review',
+    concepts: [weakest.topic],
     lessonIds: [`${weakest.topic.toLowerCase()}-review`],
   };
 
@@ -26,9 +39,10 @@ async function updateRoadmapForWeakAreas(userId) {
   const exists = roadmap.steps.some((s) => s.topic === reviewStep.topic);
   if (!exists) {
     // Shift day numbers and insert review at front
-    const shifted = roadmap.steps.map((s) => ({ ...s, day: s.day + 1 }));
+    const shifted = roadmap.steps.map((s) => ({ ...s.toObject(), day: s.day + 1 }));
     roadmap.steps = [ { ...reviewStep, day: 1 }, ...shifted ];
     await roadmap.save();
+    await recordVersion(roadmap, { reason: 'weak-area-review', source: 'adaptive-engine', note: `Added a review of ${weakest.topic}` });
   }
 
   return roadmap;
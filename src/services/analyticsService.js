@@ -1,5 +1,12 @@
 const Progress = require('../models/Progress');
 const SkillMemoryBank = require('../models/SkillMemoryBank');
+const UserProfile = require('../models/UserProfile');
+const Roadmap = require('../models/Roadmap');
+const { LEVEL_STRENGTH } = require('./memoryService');
+const { CAREER_ROLES, findCareerRole } = require('./careerRoles');
+const { canonicalSkill, findSkillsInText } = require('./skillTaxonomyService');
+
+const RECOMMENDATION_COUNT = 3;
 
 async function getUserStats(userId) {
   const progress = await Progress.find({ userId }).lean();
@@ -17,6 +24,114 @@ async function getUserStats(userId) {
   return { completed, total, completionRate, weakTopics };
 }
 
-module.exports = { getUserStats };
+// Canonical skill name (lowercased) -> value, first entry wins
+async function indexBySkill(entries, skillOf, valueOf) {
+  const index = new Map();
+  for (const entry of entries) {
+    const skill = await canonicalSkill(skillOf(entry));
+    if (typeof skill !== 'string' || !skill) continue;
+    const key = skill.toLowerCase();
+    if (!index.has(key)) index.set(key, valueOf(entry));
+  }
+  return index;
+}
+
+/**
+ * Score a learner against a role's skill matrix. Strength is on the memory bank's
+ * 0-100 scale: self-assessed levels map through LEVEL_STRENGTH, assessment confidence
+ * (1-10) is scaled by ten, and when both a self-assessment and practice history exist
+ * the two are averaged.
+ * @param {Object} role - Catalogue role
+ * @param {Object} evidence - { selfReported, practised, onRoadmap } maps keyed by lowercased skill
+ * @returns {Object} { score, skills, recommendations }
+ */
+function scoreSkillGap(role, { selfReported, practised, onRoadmap }) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const skills = role.skills.map(({ skill, level, core = false }) => {
+    const key = skill.toLowerCase();
+    const target = LEVEL_STRENGTH[level];
+    const self = selfReported.get(key) ?? null;
+    const earned = practised.get(key) ?? null;
+    const current = self !== null && earned !== null ? Math.round((self + earned) / 2) : (self ?? earned ?? 0);
+    const gap = Math.max(0, target - current);
+    const weight = core ? 2 : 1;
+
+    weighted += Math.min(1, current / target) * weight;
+    totalWeight += weight;
+
+    return {
+      skill,
+      targetLevel: level,
+      target,
+      current,
+      selfReported: self,
+      practised: earned,
+      gap,
+      status: gap === 0 ? 'met' : current > 0 ? 'developing' : 'missing',
+      core,
+      onRoadmap: onRoadmap.has(key),
+    };
+  });
+
+  // Core gaps first, then the biggest; skills already on a roadmap are in hand
+  const recommendations = skills
+    .filter((entry) => entry.gap > 0 && !entry.onRoadmap)
+    .sort((a, b) => Number(b.core) - Number(a.core) || b.gap - a.gap)
+    .slice(0, RECOMMENDATION_COUNT)
+    .map((entry) => ({
+      skill: entry.skill,
+      targetLevel: entry.targetLevel,
+      gap: entry.gap,
+      reason: entry.status === 'missing'
+        ? `${entry.core ? 'Core' : 'Supporting'} skill for ${role.title} you have not started`
+        : `${entry.core ? 'Core' : 'Supporting'} skill for ${role.title}, ${entry.gap} points below target`,
+    }));
+
+  return {
+    score: totalWeight ? Math.round((weighted / totalWeight) * 100) : 0,
+    skills,
+    recommendations,
+  };
+}
+
+/**
+ * Compare a learner with their target role (or a catalogue role chosen explicitly)
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { role } catalogue slug overriding the profile's targetRole
+ * @returns {Promise<Object|null>} Gap analysis, or null when no catalogue role applies
+ */
+async function getSkillGap(userId, { role: roleSlug } = {}) {
+  const profile = await UserProfile.findOne({ userId }, { targetRole: 1, currentSkillLevels: 1, skillAssessments: 1 }).lean();
+  const role = roleSlug
+    ? CAREER_ROLES.find((entry) => entry.slug === roleSlug)
+    : findCareerRole(profile?.targetRole);
+  if (!role) return null;
+
+  const [bank, roadmaps] = await Promise.all([
+    SkillMemoryBank.findOne({ userId }, { concepts: 1 }).lean(),
+    Roadmap.find({ userId, status: 'active' }, { skill: 1, steps: 1 }).lean(),
+  ]);
 
+  const levels = await indexBySkill(profile?.currentSkillLevels || [], (entry) => entry.skill, (entry) => LEVEL_STRENGTH[entry.level] ?? null);
+  const confidence = await indexBySkill(profile?.skillAssessments || [], (entry) => entry.skill, (entry) => entry.confidenceLevel * 10);
+  const selfReported = new Map(confidence);
+  for (const [key, strength] of levels) {
+    if (strength !== null) selfReported.set(key, strength);
+  }
+  const practised = await indexBySkill(bank?.concepts || [], (concept) => concept.topic, (concept) => concept.strengthLevel);
+
+  const onRoadmap = new Set(roadmaps.map((roadmap) => roadmap.skill.toLowerCase()));
+  for (const step of roadmaps.flatMap((roadmap) => roadmap.steps)) {
+    for (const entry of await findSkillsInText(step.topic)) onRoadmap.add(entry.name.toLowerCase());
+  }
+
+  return {
+    role: { slug: role.slug, title: role.title },
+    targetRole: profile?.targetRole || null,
+    ...scoreSkillGap(role, { selfReported, practised, onRoadmap }),
+  };
+}
 
+module.exports = { getUserStats, scoreSkillGap, getSkillGap };
@@ -0,0 +1,24 @@
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * Store an authentication event. Failures are logged but never block the request.
+ * @param {Object} req - Express request (for ip and user agent)
+ * @param {string} type - Event type (see AuthEvent)
+ * @param {Object} details - { userId, email, reason }
+ */
+async function recordAuthEvent(req, type, { userId, email, reason } = {}) {
+  try {
+    await AuthEvent.create({
+      type,
+      userId,
+      email,
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error('Error recording auth event:', error);
+  }
+}
+
+module.exports = { recordAuthEvent };
@@ -0,0 +1,168 @@
+// Roles learners aim for and the skills each one needs. Skills use their canonical
+// taxonomy names; level is the self-assessment level (Beginner-Expert) the role expects
+// and core skills count double when scoring the gap.
+const CAREER_ROLES = [
+  {
+    slug: 'frontend-engineer',
+    title: 'Frontend Engineer',
+    aliases: ['frontend developer', 'front-end engineer', 'front-end developer', 'front end engineer', 'front end developer', 'ui engineer', 'ui developer'],
+    skills: [
+      { skill: 'JavaScript', level: 'Advanced', core: true },
+      { skill: 'HTML', level: 'Advanced', core: true },
+      { skill: 'CSS', level: 'Advanced', core: true },
+      { skill: 'React', level: 'Advanced', core: true },
+      { skill: 'TypeScript', level: 'Intermediate' },
+      { skill: 'REST APIs', level: 'Intermediate' },
+      { skill: 'Testing', level: 'Intermediate' },
+      { skill: 'Git', level: 'Intermediate' },
+      { skill: 'UI/UX Design', level: 'Beginner' },
+    ],
+  },
+  {
+    slug: 'backend-engineer',
+    title: 'Backend Engineer',
+    aliases: ['backend developer', 'back-end engineer', 'back-end developer', 'back end engineer', 'back end developer', 'api developer'],
+    skills: [
+      { skill: 'Node.js', level: 'Advanced', core: true },
+      { skill: 'REST APIs', level: 'Advanced', core: true },
+      { skill: 'SQL', level: 'Intermediate', core: true },
+      { skill: 'JavaScript', level: 'Advanced' },
+      { skill: 'MongoDB', level: 'Intermediate' },
+      { skill: 'System Design', level: 'Intermediate' },
+      { skill: 'Docker', level: 'Intermediate' },
+      { skill: 'Testing', level: 'Intermediate' },
+      { skill: 'Git', level: 'Intermediate' },
+    ],
+  },
+  {
+    slug: 'full-stack-engineer',
+    title: 'Full Stack Engineer',
+    aliases: ['full stack developer', 'full-stack engineer', 'full-stack developer', 'fullstack engineer', 'fullstack developer'],
+    skills: [
+      { skill: 'JavaScript', level: 'Advanced', core: true },
+      { skill: 'React', level: 'Intermediate', core: true },
+      { skill: 'Node.js', level: 'Intermediate', core: true },
+      { skill: 'REST APIs', level: 'Intermediate', core: true },
+      { skill: 'HTML', level: 'Intermediate' },
+      { skill: 'CSS', level: 'Intermediate' },
+      { skill: 'SQL', level: 'Intermediate' },
+      { skill: 'Git', level: 'Intermediate' },
+      { skill: 'Docker', level: 'Beginner' },
+    ],
+  },
+  {
+    slug: 'mobile-developer',
+    title: 'Mobile Developer',
+    aliases: ['mobile engineer', 'app developer', 'react native developer'],
+    skills: [
+      { skill: 'React Native', level: 'Advanced', core: true },
+      { skill: 'JavaScript', level: 'Advanced', core: true },
+      { skill: 'Android', level: 'Intermediate' },
+      { skill: 'iOS', level: 'Intermediate' },
+      { skill: 'REST APIs', level: 'Intermediate' },
+      { skill: 'Testing', level: 'Beginner' },
+      { skill: 'Git', level: 'Intermediate' },
+    ],
+  },
+  {
+    slug: 'data-analyst',
+    title: 'Data Analyst',
+    aliases: ['business analyst', 'bi analyst', 'analytics engineer'],
+    skills: [
+      { skill: 'SQL', level: 'Advanced', core: true },
+      { skill: 'Data Analysis', level: 'Advanced', core: true },
+      { skill: 'Data Visualization', level: 'Advanced', core: true },
+      { skill: 'Python', level: 'Intermediate' },
+      { skill: 'Pandas', level: 'Intermediate' },
+      { skill: 'Machine Learning', level: 'Beginner' },
+    ],
+  },
+  {
+    slug: 'data-scientist',
+    title: 'Data Scientist',
+    aliases: ['data science', 'applied scientist'],
+    skills: [
+      { skill: 'Python', level: 'Advanced', core: true },
+      { skill: 'Machine Learning', level: 'Advanced', core: true },
+      { skill: 'scikit-learn', level: 'Advanced', core: true },
+      { skill: 'Pandas', level: 'Advanced' },
+      { skill: 'NumPy', level: 'Intermediate' },
+      { skill: 'SQL', level: 'Intermediate' },
+      { skill: 'Data Visualization', level: 'Intermediate' },
+      { skill: 'Deep Learning', level: 'Intermediate' },
+    ],
+  },
+  {
+    slug: 'machine-learning-engineer',
+    title: 'Machine Learning Engineer',
+    aliases: ['ml engineer', 'ai engineer', 'deep learning engineer'],
+    skills: [
+      { skill: 'Python', level: 'Expert', core: true },
+      { skill: 'Machine Learning', level: 'Advanced', core: true },
+      { skill: 'Deep Learning', level: 'Advanced', core: true },
+      { skill: 'PyTorch', level: 'Advanced' },
+      { skill: 'TensorFlow', level: 'Intermediate' },
+      { skill: 'Docker', level: 'Intermediate' },
+      { skill: 'System Design', level: 'Intermediate' },
+    ],
+  },
+  {
+    slug: 'devops-engineer',
+    title: 'DevOps Engineer',
+    aliases: ['site reliability engineer', 'sre', 'platform engineer', 'cloud engineer'],
+    skills: [
+      { skill: 'Linux', level: 'Advanced', core: true },
+      { skill: 'Docker', level: 'Advanced', core: true },
+      { skill: 'Kubernetes', level: 'Advanced', core: true },
+      { skill: 'CI/CD', level: 'Advanced', core: true },
+      { skill: 'Terraform', level: 'Intermediate' },
+      { skill: 'AWS', level: 'Intermediate' },
+      { skill: 'Bash', level: 'Intermediate' },
+      { skill: 'Git', level: 'Advanced' },
+    ],
+  },
+  {
+    slug: 'ux-designer',
+    title: 'UX Designer',
+    aliases: ['ui designer', 'ui/ux designer', 'product designer', 'ux/ui designer'],
+    skills: [
+      { skill: 'UI/UX Design', level: 'Expert', core: true },
+      { skill: 'Figma', level: 'Advanced', core: true },
+      { skill: 'HTML', level: 'Beginner' },
+      { skill: 'CSS', level: 'Beginner' },
+    ],
+  },
+  {
+    slug: 'engineering-manager',
+    title: 'Engineering Manager',
+    aliases: ['software engineering manager', 'tech lead', 'team lead', 'development manager'],
+    skills: [
+      { skill: 'Leadership', level: 'Advanced', core: true },
+      { skill: 'Project Management', level: 'Advanced', core: true },
+      { skill: 'Agile', level: 'Advanced' },
+      { skill: 'System Design', level: 'Intermediate' },
+    ],
+  },
+];
+
+/**
+ * Catalogue role for a free-text role such as a profile's targetRole. Exact titles and
+ * aliases win; otherwise the longest title or alias contained in the text is used, so
+ * "Senior Frontend Engineer" still resolves.
+ * @param {string} text - Role as written
+ * @returns {Object|null} Role, or null when nothing matches
+ */
+function findCareerRole(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const needle = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  let best = null;
+  for (const role of CAREER_ROLES) {
+    for (const name of [role.title.toLowerCase(), ...role.aliases]) {
+      if (name === needle) return role;
+      if (needle.includes(name) && (!best || name.length > best.length)) best = { role, length: name.length };
+    }
+  }
+  return best ? best.role : null;
+}
+
+module.exports = { CAREER_ROLES, findCareerRole };
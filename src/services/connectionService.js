@@ -0,0 +1,221 @@
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Follow = require('../models/Follow');
+
+function connectionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function pairKeyOf(a, b) {
+  return [a.toString(), b.toString()].sort().join(':');
+}
+
+async function requireActiveUser(userId) {
+  const user = await User.findOne({ _id: userId, deletedAt: null }, { _id: 1 }).lean();
+  if (!user) throw connectionError('User not found', 404);
+}
+
+async function namesFor(userIds) {
+  const users = await User.find({ _id: { $in: userIds }, deletedAt: null }, { name: 1 }).lean();
+  return new Map(users.map((user) => [user._id.toString(), user.name]));
+}
+
+/**
+ * Shape connections for API responses from one member's point of view, dropping any
+ * whose other member has deleted their account
+ * @param {Array<Object>} connections - Connection documents
+ * @param {string} userId - The member viewing them
+ * @returns {Promise<Array<Object>>} Serialized connections
+ */
+async function serializeConnections(connections, userId) {
+  const otherId = (connection) => (connection.requester.toString() === userId ? connection.recipient : connection.requester);
+  const names = await namesFor(connections.map(otherId));
+  return connections
+    .filter((connection) => names.has(otherId(connection).toString()))
+    .map((connection) => ({
+      id: connection._id,
+      user: { id: otherId(connection), name: names.get(otherId(connection).toString()) },
+      status: connection.status,
+      direction: connection.requester.toString() === userId ? 'outgoing' : 'incoming',
+      createdAt: connection.createdAt,
+      respondedAt: connection.respondedAt || null,
+    }));
+}
+
+/**
+ * Ask another learner to connect. A request crossing one already sent the other way
+ * accepts it instead.
+ * @param {string} userId - Requester
+ * @param {string} targetId - Recipient
+ * @returns {Promise<Object>} Connection document
+ */
+async function sendConnectionRequest(userId, targetId) {
+  if (userId === targetId) throw connectionError('You cannot connect with yourself', 400);
+  await requireActiveUser(targetId);
+
+  const existing = await Connection.findOne({ pairKey: pairKeyOf(userId, targetId) });
+  if (existing) {
+    if (existing.status === 'accepted') throw connectionError('Already connected', 409);
+    if (existing.requester.toString() === userId) throw connectionError('Connection request already sent', 409);
+    existing.status = 'accepted';
+    existing.respondedAt = new Date();
+    await existing.save();
+    return existing;
+  }
+
+  try {
+    return await Connection.create({ requester: userId, recipient: targetId, pairKey: pairKeyOf(userId, targetId) });
+  } catch (err) {
+    // Both members sent a request at the same moment
+    if (err.code === 11000) throw connectionError('Connection request already exists', 409);
+    throw err;
+  }
+}
+
+/**
+ * Accept or decline a pending request addressed to the user
+ * @param {string} userId - Recipient
+ * @param {string} connectionId - Connection ID
+ * @param {boolean} accept - Accept (true) or decline (false)
+ * @returns {Promise<Object|null>} The accepted connection, or null after declining
+ */
+async function respondToConnectionRequest(userId, connectionId, accept) {
+  const connection = await Connection.findOne({ _id: connectionId, recipient: userId, status: 'pending' });
+  if (!connection) throw connectionError('Connection request not found', 404);
+
+  if (!accept) {
+    await connection.deleteOne();
+    return null;
+  }
+  connection.status = 'accepted';
+  connection.respondedAt = new Date();
+  await connection.save();
+  return connection;
+}
+
+/**
+ * Remove a connection, or withdraw a request the user sent
+ * @param {string} userId - Either member
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+async function removeConnection(userId, connectionId) {
+  const result = await Connection.deleteOne({
+    _id: connectionId,
+    $or: [{ requester: userId }, { recipient: userId, status: 'accepted' }],
+  });
+  return result.deletedCount > 0;
+}
+
+/**
+ * A user's connections or pending requests
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { status: 'accepted' | 'pending', direction: 'incoming' | 'outgoing' }
+ * @returns {Promise<Array<Object>>} Serialized connections, newest first
+ */
+async function listConnections(userId, { status = 'accepted', direction } = {}) {
+  let filter = { status, $or: [{ requester: userId }, { recipient: userId }] };
+  if (direction === 'incoming') filter = { status, recipient: userId };
+  if (direction === 'outgoing') filter = { status, requester: userId };
+  const connections = await Connection.find(filter).sort({ createdAt: -1 }).lean();
+  return serializeConnections(connections, userId);
+}
+
+/**
+ * Follow another learner
+ * @param {string} userId - Follower
+ * @param {string} targetId - Learner to follow
+ * @returns {Promise<Object>} Follow document
+ */
+async function followUser(userId, targetId) {
+  if (userId === targetId) throw connectionError('You cannot follow yourself', 400);
+  await requireActiveUser(targetId);
+  return Follow.findOneAndUpdate(
+    { follower: userId, followee: targetId },
+    { $setOnInsert: { follower: userId, followee: targetId } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Stop following a learner
+ * @param {string} userId - Follower
+ * @param {string} targetId - Followed learner
+ * @returns {Promise<boolean>} Whether a follow was removed
+ */
+async function unfollowUser(userId, targetId) {
+  const result = await Follow.deleteOne({ follower: userId, followee: targetId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Learners following, or followed by, a user
+ * @param {string} userId - The user ID
+ * @param {string} direction - 'followers' | 'following'
+ * @returns {Promise<Array<Object>>} [{ user: { id, name }, since }]
+ */
+async function listFollows(userId, direction) {
+  const [own, other] = direction === 'followers' ? ['followee', 'follower'] : ['follower', 'followee'];
+  const follows = await Follow.find({ [own]: userId }).sort({ createdAt: -1 }).lean();
+  const names = await namesFor(follows.map((follow) => follow[other]));
+  return follows
+    .filter((follow) => names.has(follow[other].toString()))
+    .map((follow) => ({ user: { id: follow[other], name: names.get(follow[other].toString()) }, since: follow.createdAt }));
+}
+
+// Graph queries for other features (profile visibility, squad invites, activity sharing)
+
+/**
+ * Whether two learners have an accepted connection
+ * @param {string} a - User ID
+ * @param {string} b - User ID
+ * @returns {Promise<boolean>} Connected
+ */
+async function areConnected(a, b) {
+  if (!a || !b || a.toString() === b.toString()) return false;
+  return Boolean(await Connection.exists({ pairKey: pairKeyOf(a, b), status: 'accepted' }));
+}
+
+/**
+ * IDs of a learner's accepted connections
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<string>>} User IDs
+ */
+async function connectionIds(userId) {
+  const connections = await Connection.find(
+    { status: 'accepted', $or: [{ requester: userId }, { recipient: userId }] },
+    { requester: 1, recipient: 1 }
+  ).lean();
+  return connections.map((connection) => (connection.requester.toString() === userId.toString()
+    ? connection.recipient.toString()
+    : connection.requester.toString()));
+}
+
+/**
+ * Everyone who should see activity a learner shares: connections and followers
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<string>>} User IDs, without duplicates
+ */
+async function activityAudience(userId) {
+  const [connections, follows] = await Promise.all([
+    connectionIds(userId),
+    Follow.find({ followee: userId }, { follower: 1 }).lean(),
+  ]);
+  return [...new Set([...connections, ...follows.map((follow) => follow.follower.toString())])];
+}
+
+module.exports = {
+  sendConnectionRequest,
+  respondToConnectionRequest,
+  removeConnection,
+  listConnections,
+  serializeConnections,
+  followUser,
+  unfollowUser,
+  listFollows,
+  areConnected,
+  connectionIds,
+  activityAudience,
+};
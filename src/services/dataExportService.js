@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const JSZip = require('jszip');
+const DataExport = require('../models/DataExport');
+const { JWT_SECRET } = require('./tokenService');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { EXPORTED_SOURCES, collectUserData, summarizeUserData } = require('./userDataService');
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../exports');
+const EXPORT_RETENTION_MS = Number(process.env.DATA_EXPORT_RETENTION_HOURS || 24) * 60 * 60 * 1000;
+const DOWNLOAD_LINK_TTL = '15m';
+// Requests queued before a job picks them up are dropped after this long
+const PENDING_EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function exportPath(dataExport) {
+  return path.join(EXPORT_DIR, dataExport.fileName);
+}
+
+/**
+ * Queue a new export for a user, or return the one already in progress
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { dataExport, created }
+ */
+async function requestDataExport(userId) {
+  const pending = await DataExport.findOne({ userId, status: { $in: ['queued', 'running'] } });
+  if (pending) return { dataExport: pending, created: false };
+
+  const dataExport = await DataExport.create({
+    userId,
+    expiresAt: new Date(Date.now() + PENDING_EXPORT_TTL_MS),
+  });
+  await enqueue('data-export.build', { exportId: dataExport._id.toString() });
+  return { dataExport, created: true };
+}
+
+async function buildDataExport({ exportId }, job) {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport) return;
+
+  dataExport.status = 'running';
+  await dataExport.save();
+
+  try {
+    const generatedAt = new Date();
+    const data = await collectUserData(dataExport.userId);
+
+    const zip = new JSZip();
+    zip.file('SUMMARY.txt', summarizeUserData(data, generatedAt));
+    for (const source of EXPORTED_SOURCES) {
+      zip.file(`data/${source.name}.json`, JSON.stringify(data[source.name] ?? null, null, 2));
+    }
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    dataExport.fileName = `${dataExport._id}.zip`;
+    await fs.writeFile(exportPath(dataExport), archive);
+
+    dataExport.status = 'ready';
+    dataExport.fileSize = archive.length;
+    dataExport.completedAt = generatedAt;
+    dataExport.expiresAt = new Date(generatedAt.getTime() + EXPORT_RETENTION_MS);
+    dataExport.error = undefined;
+    await dataExport.save();
+
+    await enqueue('data-export.cleanup', { exportId, fileName: dataExport.fileName }, { runAt: dataExport.expiresAt });
+  } catch (err) {
+    // Stay queued while the job queue still has retries left
+    dataExport.status = job.attempts >= job.maxAttempts ? 'failed' : 'queued';
+    dataExport.error = 'Export could not be generated';
+    await dataExport.save();
+    throw err;
+  }
+}
+
+async function cleanupDataExport({ exportId, fileName }) {
+  await DataExport.deleteOne({ _id: exportId });
+  await fs.rm(path.join(EXPORT_DIR, fileName), { force: true });
+}
+
+registerHandler('data-export.build', buildDataExport);
+registerHandler('data-export.cleanup', cleanupDataExport);
+
+/**
+ * Sign a short-lived token that authorizes downloading one export
+ * @param {Object} dataExport - DataExport document
+ * @returns {string} Signed JWT
+ */
+function signDownloadToken(dataExport) {
+  return jwt.sign(
+    { sub: dataExport.userId.toString(), exp_id: dataExport._id.toString(), purpose: 'data_export' },
+    JWT_SECRET,
+    { expiresIn: DOWNLOAD_LINK_TTL }
+  );
+}
+
+/**
+ * Shape an export for API responses, attaching a download link once it is ready
+ * @param {Object} dataExport - DataExport document
+ * @param {string} baseUrl - URL prefix for the download route
+ * @returns {Object} Serialized export
+ */
+function serializeDataExport(dataExport, baseUrl) {
+  const serialized = {
+    id: dataExport._id,
+    status: dataExport.status,
+    requestedAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt || null,
+    expiresAt: dataExport.status === 'ready' ? dataExport.expiresAt : null,
+    fileSize: dataExport.fileSize || null,
+    error: dataExport.error || null,
+  };
+  if (dataExport.status === 'ready') {
+    const token = signDownloadToken(dataExport);
+    serialized.downloadUrl = `${baseUrl}/exports/${dataExport._id}/download?token=${encodeURIComponent(token)}`;
+    serialized.downloadUrlExpiresIn = DOWNLOAD_LINK_TTL;
+  }
+  return serialized;
+}
+
+/**
+ * Resolve a download token to the archive it grants access to
+ * @param {string} exportId - Export id from the URL
+ * @param {string} token - Token from the download link
+ * @returns {Promise<Object|null>} { dataExport, filePath } or null if the link is invalid or expired
+ */
+async function resolveDownload(exportId, token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (payload.purpose !== 'data_export' || payload.exp_id !== String(exportId)) return null;
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    userId: payload.sub,
+    status: 'ready',
+    expiresAt: { $gt: new Date() },
+  });
+  if (!dataExport) return null;
+
+  return { dataExport, filePath: exportPath(dataExport) };
+}
+
+/**
+ * Delete every export a user has, including archives on disk
+ * @param {string} userId - The user ID
+ */
+async function deleteDataExports(userId) {
+  const dataExports = await DataExport.find({ userId }, { fileName: 1 }).lean();
+  for (const dataExport of dataExports) {
+    if (dataExport.fileName) {
+      await fs.rm(exportPath(dataExport), { force: true });
+    }
+  }
+  await DataExport.deleteMany({ userId });
+}
+
+module.exports = { requestDataExport, serializeDataExport, resolveDownload, deleteDataExports };
@@ -0,0 +1,259 @@
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+// Plain-text extraction for every resume format we accept. Callers pass a buffer and the
+// type detected by utils/fileSniffer.
+
+const LINE_TOLERANCE = 2; // points; items closer than this vertically share a line
+const MIN_COLUMN_SHARE = 0.2; // each column needs at least this share of the page's items
+const MAX_STRADDLE_SHARE = 0.1; // full-width items allowed to cross the column gutter
+
+function joinLine(items) {
+  let text = '';
+  let lastEnd = null;
+  for (const item of [...items].sort((a, b) => a.x - b.x)) {
+    if (lastEnd !== null && item.x - lastEnd > 1 && !/\s$/.test(text) && !/^\s/.test(item.str)) text += ' ';
+    text += item.str;
+    lastEnd = item.x + item.width;
+  }
+  return text.trimEnd();
+}
+
+// Items grouped into lines, top to bottom
+function lineItems(items) {
+  const lines = [];
+  for (const item of [...items].sort((a, b) => b.y - a.y)) {
+    const line = lines.find((candidate) => Math.abs(candidate.y - item.y) <= LINE_TOLERANCE);
+    if (line) line.items.push(item);
+    else lines.push({ y: item.y, items: [item] });
+  }
+  return lines;
+}
+
+function groupLines(items) {
+  return lineItems(items).map((line) => ({ y: line.y, text: joinLine(line.items) })).filter((line) => line.text.trim());
+}
+
+/**
+ * Find a vertical gutter that splits the page into two text columns
+ * @param {Array<Object>} items - Positioned text items
+ * @param {number} pageWidth - Page width in points
+ * @returns {number|null} x coordinate of the gutter, or null for single-column pages
+ */
+function findGutter(items, pageWidth) {
+  let best = null;
+  for (let split = pageWidth * 0.25; split <= pageWidth * 0.75; split += 2) {
+    let left = 0;
+    let right = 0;
+    let straddling = 0;
+    for (const item of items) {
+      if (item.x + item.width <= split) left += 1;
+      else if (item.x >= split) right += 1;
+      else straddling += 1;
+    }
+    const enough = left >= items.length * MIN_COLUMN_SHARE && right >= items.length * MIN_COLUMN_SHARE;
+    if (enough && straddling <= items.length * MAX_STRADDLE_SHARE && (!best || straddling < best.straddling)) {
+      best = { split, straddling };
+    }
+  }
+  return best ? best.split : null;
+}
+
+/**
+ * pdf-parse page renderer that keeps reading order on multi-column layouts: each column
+ * is read top to bottom before the next, and full-width lines (headings spanning both
+ * columns) start a new band. A line is full width when any of its runs crosses the
+ * gutter; the whole line is then read as one, so runs beside a heading are kept.
+ */
+async function renderPageInReadingOrder(pageData) {
+  const [textContent, viewport] = await Promise.all([
+    pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }),
+    pageData.getViewport(1),
+  ]);
+  const items = textContent.items
+    .filter((item) => item.str)
+    .map((item) => ({ str: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 }));
+
+  const gutter = findGutter(items, viewport.width);
+  if (gutter === null) {
+    return groupLines(items).map((line) => line.text).join('\n');
+  }
+
+  const lines = [];
+  let left = [];
+  let right = [];
+  const closeBand = () => {
+    lines.push(...groupLines(left), ...groupLines(right));
+    left = [];
+    right = [];
+  };
+  for (const line of lineItems(items)) {
+    if (line.items.some((item) => item.x < gutter && item.x + item.width > gutter)) {
+      closeBand();
+      lines.push({ y: line.y, text: joinLine(line.items) });
+    } else {
+      for (const item of line.items) (item.x + item.width <= gutter ? left : right).push(item);
+    }
+  }
+  closeBand();
+
+  return lines.filter((line) => line.text.trim()).map((line) => line.text).join('\n');
+}
+
+async function extractPdfText(buffer) {
+  const result = await pdfParse(buffer, { pagerender: renderPageInReadingOrder });
+  return result.text;
+}
+
+async function extractDocxText(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+async function extractDocText(buffer) {
+  const document = await new WordExtractor().extract(buffer);
+  return [document.getBody(), document.getFootnotes(), document.getEndnotes()]
+    .filter((part) => part && part.trim())
+    .join('\n');
+}
+
+async function extractOdtText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) throw new Error('OpenDocument file has no content.xml');
+
+  const $ = cheerio.load(await content.async('string'), { xmlMode: true });
+  $('text\\:tab').replaceWith('\t');
+  $('text\\:s').replaceWith(' ');
+  $('text\\:line-break').replaceWith('\n');
+  return $('text\\:h, text\\:p')
+    .map((_, element) => $(element).text())
+    .get()
+    .join('\n');
+}
+
+/**
+ * Convert RTF to plain text: control words are dropped, paragraph and tab controls become
+ * whitespace, and escaped characters (\'hh, \uN) are decoded
+ * @param {string} rtf - RTF source
+ * @returns {string} Plain text
+ */
+function rtfToText(rtf) {
+  const IGNORED_DESTINATIONS = /^(fonttbl|colortbl|stylesheet|info|pict|object|header|footer|headerl|headerr|footerl|footerr|listtable|listoverridetable|rsidtbl|generator|xmlnstbl|themedata|datastore|latentstyles)$/;
+  let text = '';
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 0;
+
+  for (let i = 0; i < rtf.length; i += 1) {
+    const char = rtf[i];
+    if (char === '{') {
+      stack.push(skipping);
+    } else if (char === '}') {
+      skipping = stack.pop() || false;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skipping) text += next;
+        i += 1;
+      } else if (next === '\'') {
+        const hex = rtf.substr(i + 2, 2);
+        if (!/^[0-9a-f]{2}$/i.test(hex)) {
+          // Malformed escape: drop it and read on from the next character
+          i += 1;
+          continue;
+        }
+        if (!skipping && unicodeSkip === 0) text += String.fromCharCode(parseInt(hex, 16));
+        if (unicodeSkip > 0) unicodeSkip -= 1;
+        i += 3;
+      } else if (next === '*') {
+        skipping = true;
+        i += 1;
+      } else {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1));
+        if (!match) {
+          i += 1;
+          continue;
+        }
+        const [whole, word, param] = match;
+        i += whole.length;
+        if (IGNORED_DESTINATIONS.test(word)) skipping = true;
+        if (skipping) continue;
+        if (word === 'par' || word === 'line' || word === 'row') text += '\n';
+        else if (word === 'tab' || word === 'cell') text += '\t';
+        else if (word === 'u' && param !== undefined) {
+          const code = Number(param);
+          text += String.fromCharCode(code < 0 ? code + 65536 : code);
+          unicodeSkip = 1;
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      // Line breaks in RTF source are not content
+    } else if (!skipping) {
+      if (unicodeSkip > 0) unicodeSkip -= 1;
+      else text += char;
+    }
+  }
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Strip Markdown syntax, keeping the text a reader would see
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, (block) => block.replace(/```\w*/g, ''))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]*)\)/g, (_, label, url) => (url.startsWith('mailto:') ? url.slice(7) : `${label} (${url})`))
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '- ')
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    // Underscores only mark emphasis at word edges; inside words (snake_case, emails) they are text
+    .replace(/(^|\W)__(.+?)__(?=\W|$)/gm, '$1$2')
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/gm, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
+function decodeText(buffer) {
+  // Drop a UTF-8 byte order mark if present
+  return buffer.toString('utf8').replace(/^﻿/, '');
+}
+
+const EXTRACTORS = {
+  pdf: extractPdfText,
+  docx: extractDocxText,
+  doc: extractDocText,
+  odt: extractOdtText,
+  rtf: async (buffer) => rtfToText(buffer.toString('latin1')),
+  md: async (buffer) => markdownToText(decodeText(buffer)),
+  txt: async (buffer) => decodeText(buffer),
+};
+
+/**
+ * Extract plain text from a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - One of SUPPORTED_TYPES
+ * @returns {Promise<string>} Text
+ */
+async function extractText(buffer, fileType) {
+  const extractor = EXTRACTORS[fileType];
+  if (!extractor) throw new Error(`Unsupported file type: ${fileType}`);
+  return extractor(buffer);
+}
+
+module.exports = {
+  SUPPORTED_TYPES: Object.keys(EXTRACTORS),
+  extractText,
+  renderPageInReadingOrder,
+  rtfToText,
+  markdownToText,
+};
@@ -0,0 +1,110 @@
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 2000);
+// A running job whose lock is older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+const handlers = {};
+let timer = null;
+
+/**
+ * Register the function that processes jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => void
+ */
+function registerHandler(type, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job handler for ${type} must be a function`);
+  }
+  handlers[type] = handler;
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Job type
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - { runAt, maxAttempts }
+ * @returns {Promise<Object>} Job document
+ */
+async function enqueue(type, payload = {}, { runAt = new Date(), maxAttempts } = {}) {
+  return Job.create({ type, payload, runAt, ...(maxAttempts ? { maxAttempts } : {}) });
+}
+
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: 'running', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+async function runJob(job) {
+  try {
+    await handlers[job.type](job.payload, job);
+    job.status = 'done';
+    job.finishedAt = new Date();
+    job.lastError = undefined;
+  } catch (err) {
+    job.lastError = err.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+    } else {
+      // Back off exponentially before the next attempt
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+    }
+    console.error(`Job ${job._id} (${job.type}) failed:`, err.message);
+  }
+  job.lockedAt = null;
+  await job.save();
+}
+
+/**
+ * Process every job that is currently due
+ * @returns {Promise<number>} Number of jobs processed
+ */
+async function processDueJobs() {
+  let processed = 0;
+  let job = await claimNextJob();
+  while (job) {
+    await runJob(job);
+    processed += 1;
+    job = await claimNextJob();
+  }
+  return processed;
+}
+
+/**
+ * Start polling for due jobs in this process
+ */
+function startWorker() {
+  if (timer) return;
+  const tick = async () => {
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error('Job worker error:', err);
+    }
+    timer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop polling (used by scripts and graceful shutdown)
+ */
+function stopWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = { registerHandler, enqueue, processDueJobs, startWorker, stopWorker };
@@ -0,0 +1,193 @@
+const { canonicalSkillLookup } = require('./skillTaxonomyService');
+const { yearsCovered, yearsBucket, educationLevelOf } = require('./resumeRuleExtractor');
+
+// Mapping between UserProfile and the JSON Resume schema (https://jsonresume.org/schema).
+// Profile fields with no JSON Resume equivalent travel under meta.skillforge so an
+// export can be imported again without loss.
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const META_KEY = 'skillforge';
+const META_FIELDS = [
+  'industry',
+  'yearsExperience',
+  'targetRole',
+  'primarySkillCategory',
+  'skillsToLearn',
+  'relatedSkills',
+  'prioritySkills',
+  'teamRole',
+  'previousLearningExperience',
+];
+
+// Top-level sections we read; anything else in a document is reported as unmapped
+const MAPPED_SECTIONS = ['$schema', 'basics', 'work', 'education', 'certificates', 'skills', 'languages', 'meta'];
+const MAPPED_BASICS = ['name', 'label', 'email', 'phone'];
+
+const LEVEL_ALIASES = [
+  { level: 'Expert', pattern: /\b(expert|master|guru|fluent|native)\b/i },
+  { level: 'Advanced', pattern: /\b(advanced|senior|proficient)\b/i },
+  { level: 'Intermediate', pattern: /\b(intermediate|mid|moderate|working)\b/i },
+  { level: 'Beginner', pattern: /\b(beginner|novice|basic|junior|elementary|entry)\b/i },
+];
+const DEFAULT_LEVEL = 'Intermediate';
+
+// Highest first; an exported resume carries these values verbatim as studyType
+const EDUCATION_RANK = ['PhD', 'Master\'s', 'Bachelor\'s', 'Professional Certification', 'High School', 'Self-taught'];
+
+function present(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => present(value)));
+}
+
+/**
+ * Render a profile as a JSON Resume document
+ * @param {Object} profile - UserProfile document or plain object
+ * @returns {Object} JSON Resume
+ */
+function toJsonResume(profile) {
+  const skills = (profile.currentSkillLevels || [])
+    .filter((entry) => entry.skill)
+    .map((entry) => compact({ name: entry.skill, level: entry.level }));
+
+  return compact({
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: profile.fullName,
+      label: profile.jobTitle,
+      email: profile.email,
+      phone: profile.phoneNumber,
+    }),
+    work: profile.company ? [compact({ name: profile.company, position: profile.jobTitle })] : [],
+    education: profile.educationLevel ? [{ studyType: profile.educationLevel }] : [],
+    certificates: (profile.certifications || []).map((name) => ({ name })),
+    skills,
+    languages: profile.preferredLanguage ? [{ language: profile.preferredLanguage }] : [],
+    meta: {
+      version: 'v1.0.0',
+      lastModified: (profile.updatedAt ? new Date(profile.updatedAt) : new Date()).toISOString(),
+      [META_KEY]: compact(Object.fromEntries(META_FIELDS.map((field) => [field, profile[field]]))),
+    },
+  });
+}
+
+function parseResumeDate(value, { end = false } = {}) {
+  if (!present(value)) return end ? new Date() : null;
+  // JSON Resume dates are ISO 8601 and may stop at the year or month
+  const [year, month = 1, day = 1] = String(value).split('-').map(Number);
+  if (!year) return null;
+  return new Date(year, month - 1, day);
+}
+
+function workEntries(document) {
+  return (Array.isArray(document.work) ? document.work : [])
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({
+      // Older versions of the schema called the employer "company"
+      name: entry.name || entry.company,
+      position: entry.position,
+      start: parseResumeDate(entry.startDate),
+      end: parseResumeDate(entry.endDate, { end: true }),
+      current: !present(entry.endDate),
+    }));
+}
+
+function levelFor(value) {
+  if (!present(value)) return null;
+  const match = LEVEL_ALIASES.find(({ pattern }) => pattern.test(String(value)));
+  return match ? match.level : null;
+}
+
+/**
+ * Read the profile fields out of a JSON Resume document. Values are mapped but not yet
+ * validated; see onboardingFlow.validateProfileFields.
+ * @param {Object} document - JSON Resume
+ * @returns {Promise<Object>} { fields, unmapped: [{ path, reason }] }
+ */
+async function fromJsonResume(document = {}) {
+  const fields = {};
+  const unmapped = [];
+  const basics = document.basics && typeof document.basics === 'object' ? document.basics : {};
+
+  for (const key of Object.keys(document)) {
+    if (!MAPPED_SECTIONS.includes(key) && present(document[key])) {
+      unmapped.push({ path: key, reason: 'Section has no profile equivalent' });
+    }
+  }
+  for (const key of Object.keys(basics)) {
+    if (!MAPPED_BASICS.includes(key) && present(basics[key])) {
+      unmapped.push({ path: `basics.${key}`, reason: 'Field has no profile equivalent' });
+    }
+  }
+
+  if (present(basics.name)) fields.fullName = basics.name;
+  // The email validator runs before any sanitizer, so stray whitespace would fail it
+  if (present(basics.email)) fields.email = String(basics.email).trim();
+  if (present(basics.phone)) fields.phoneNumber = basics.phone;
+
+  // The profile holds one position: the current one, else the one that started last
+  const work = workEntries(document);
+  const latest = [...work].sort((a, b) => (b.current - a.current) || ((b.start || 0) - (a.start || 0)))[0];
+  if (latest && present(latest.name)) fields.company = latest.name;
+  fields.jobTitle = present(basics.label) ? basics.label : latest?.position;
+  const periods = work.filter((entry) => entry.start && entry.end > entry.start).map((entry) => [entry.start, entry.end]);
+  if (periods.length) fields.yearsExperience = yearsBucket(yearsCovered(periods));
+
+  const education = Array.isArray(document.education) ? document.education : [];
+  education.forEach((entry, index) => {
+    const level = EDUCATION_RANK.includes(entry?.studyType)
+      ? entry.studyType
+      : educationLevelOf([entry?.studyType, entry?.area].filter(Boolean).join(' '));
+    if (!level) {
+      unmapped.push({ path: `education[${index}].studyType`, reason: 'Unrecognised degree' });
+    } else if (!fields.educationLevel || EDUCATION_RANK.indexOf(level) < EDUCATION_RANK.indexOf(fields.educationLevel)) {
+      fields.educationLevel = level;
+    }
+  });
+
+  const certificates = Array.isArray(document.certificates) ? document.certificates : [];
+  const certifications = certificates.map((entry) => entry?.name).filter(present);
+  if (certifications.length) fields.certifications = [...new Set(certifications)];
+
+  const skills = Array.isArray(document.skills) ? document.skills : [];
+  const canonical = await canonicalSkillLookup();
+  const levels = [];
+  const related = [];
+  skills.forEach((entry, index) => {
+    if (!present(entry?.name)) {
+      unmapped.push({ path: `skills[${index}]`, reason: 'Skill has no name' });
+      return;
+    }
+    let level = levelFor(entry.level);
+    if (!level) {
+      level = DEFAULT_LEVEL;
+      if (present(entry.level)) {
+        unmapped.push({ path: `skills[${index}].level`, reason: `Unrecognised level; recorded as ${DEFAULT_LEVEL}` });
+      }
+    }
+    levels.push({ skill: canonical(String(entry.name)), level });
+    for (const keyword of Array.isArray(entry.keywords) ? entry.keywords : []) {
+      if (present(keyword)) related.push(canonical(String(keyword)));
+    }
+  });
+  if (levels.length) fields.currentSkillLevels = levels;
+  if (related.length) fields.relatedSkills = [...new Set(related)];
+
+  const languages = Array.isArray(document.languages) ? document.languages : [];
+  if (present(languages[0]?.language)) fields.preferredLanguage = languages[0].language;
+
+  // Our own fields win over anything inferred above: they came from an export of ours
+  const meta = document.meta?.[META_KEY] || {};
+  for (const field of META_FIELDS) {
+    if (present(meta[field])) fields[field] = meta[field];
+  }
+
+  return { fields: compact(fields), unmapped };
+}
+
+module.exports = { toJsonResume, fromJsonResume };
@@ -1,6 +1,9 @@
 const { chat, extractJSON } = require('./llmClient');
 const Lesson = require('../models/Lesson');
 const Roadmap = require('../models/Roadmap');
+const { canonicalSkill, canonicalSkillList } = require('./skillTaxonomyService');
+const { resolveRoadmap } = require('./roadmapService');
+const { recordVersion } = require('./roadmapVersionService');
 
 function buildLessonPrompt({ topic, skill, difficulty }) {
   return `Generate a micro-lesson as JSON with fields:
@@ -16,7 +19,16 @@ Constraints: Keep it concise, beginner-friendly if not sure. Topic=${topic}, ski
 Return strictly JSON only.`;
 }
 
-async function generateLesson({ userId, topic, skill, difficulty, day }) {
+/**
+ * Generate a lesson and, when a day is given, attach it to that day of a roadmap
+ * @param {Object} params - { userId, topic, skill, difficulty, day, roadmapId }; without
+ * roadmapId the lesson goes to the active roadmap for its skill, and is left unattached
+ * when that skill has none
+ * @returns {Promise<Object>} Lesson document
+ */
+async function generateLesson({ userId, topic, skill, difficulty, day, roadmapId }) {
+  // Check an explicitly requested roadmap before spending an LLM call on the lesson
+  const requested = userId && roadmapId ? await resolveRoadmap(userId, { roadmapId }) : null;
   const prompt = buildLessonPrompt({ topic, skill, difficulty });
   const text = await chat([{ role: 'user', content: prompt }]);
   const json = extractJSON(text);
@@ -27,18 +39,26 @@ async function generateLesson({ userId, topic, skill, difficulty, day }) {
       lessonId: String(json.lessonId),
       type: json.type === 'quiz' ? 'quiz' : 'text',
       content: json.content,
-      skill: String(json.skill || skill || topic),
+      skill: await canonicalSkill(String(json.skill || skill || topic)),
       difficulty: ['Beginner', 'Intermediate', 'Advanced'].includes(json.difficulty) ? json.difficulty : (difficulty || 'Beginner'),
-      concepts: Array.isArray(json.concepts) ? json.concepts.map(String) : [],
+      concepts: Array.isArray(json.concepts) ? await canonicalSkillList(json.concepts.map(String)) : [],
     },
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
 
   if (userId && day) {
-    await Roadmap.updateOne(
-      { userId, 'steps.day': day },
-      { $addToSet: { 'steps.$.lessonIds': lessonDoc.lessonId } }
-    );
+    const roadmap = requested || (await resolveRoadmap(userId, { skill: lessonDoc.skill, fallback: false }));
+    const step = roadmap?.steps.find((s) => s.day === Number(day));
+    if (step && !step.lessonIds.includes(lessonDoc.lessonId)) {
+      const updated = await Roadmap.findOneAndUpdate(
+        { _id: roadmap._id, 'steps.day': step.day },
+        { $addToSet: { 'steps.$.lessonIds': lessonDoc.lessonId } },
+        { new: true }
+      );
+      if (updated) {
+        await recordVersion(updated, { reason: 'lesson-attached', source: 'lesson-generator', note: `Attached lesson ${lessonDoc.lessonId} to day ${step.day}` });
+      }
+    }
   }
 
   return lessonDoc;
@@ -20,6 +20,15 @@ async function chat(messages, provider = 'openrouter') {
   return chatWithOllama(messages);
 }
 
+/**
+ * Model that answers chat() for a provider, recorded alongside generated content
+ * @param {string} provider - 'ollama' or 'openrouter'
+ * @returns {string} Model name
+ */
+function modelFor(provider = 'openrouter') {
+  return provider === 'openrouter' ? OPENROUTER_MODEL : OLLAMA_MODEL;
+}
+
 /**
  * Chat with Ollama local instance
  * @param {Array} messages - Array of message objects
@@ -291,6 +300,6 @@ function deepCleanJSON(text) {
   return cleaned;
 }
 
-module.exports = { chat, extractJSON };
+module.exports = { chat, extractJSON, modelFor };
 
 
@@ -0,0 +1,106 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MINUTE = 60 * 1000;
+
+// Failures are forgotten once a key has been quiet for this long
+const FAILURE_WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 60) * MINUTE;
+const MAX_DELAY_MS = 60 * 1000;
+
+const ACCOUNT_POLICY = {
+  freeAttempts: 3,
+  lockThreshold: Number(process.env.LOGIN_LOCK_THRESHOLD || 5),
+  lockMs: Number(process.env.LOGIN_LOCK_MINUTES || 15) * MINUTE,
+};
+
+// A single client may legitimately front many accounts (NAT, offices), so it gets more room
+const IP_POLICY = {
+  freeAttempts: 10,
+  lockThreshold: Number(process.env.LOGIN_IP_LOCK_THRESHOLD || 50),
+  lockMs: Number(process.env.LOGIN_LOCK_MINUTES || 15) * MINUTE,
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Delay imposed before the next attempt: none for the first few failures, then doubling
+ * @param {number} failures - Consecutive failures so far
+ * @param {Object} policy - Throttle policy
+ * @returns {number} Delay in milliseconds
+ */
+function delayFor(failures, policy) {
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - policy.freeAttempts), MAX_DELAY_MS);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} null when allowed, else { reason: 'locked'|'throttled', retryAfterSeconds }
+ */
+async function getLoginBlock(email, ip) {
+  const now = Date.now();
+  const rows = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+
+  let block = null;
+  for (const row of rows) {
+    const lockedUntil = row.lockedUntil?.getTime() || 0;
+    const nextAttemptAt = row.nextAttemptAt?.getTime() || 0;
+    let candidate = null;
+    if (lockedUntil > now) {
+      candidate = { reason: 'locked', until: lockedUntil };
+    } else if (nextAttemptAt > now) {
+      candidate = { reason: 'throttled', until: nextAttemptAt };
+    }
+    if (candidate && (!block || candidate.until > block.until)) {
+      block = candidate;
+    }
+  }
+
+  if (!block) return null;
+  return { reason: block.reason, retryAfterSeconds: Math.ceil((block.until - now) / 1000) };
+}
+
+async function registerFailure(key, policy) {
+  const now = Date.now();
+  const row = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: new Date(now), expiresAt: new Date(now + FAILURE_WINDOW_MS) } },
+    { upsert: true, new: true }
+  );
+
+  const update = { nextAttemptAt: new Date(now + delayFor(row.failures, policy)) };
+  let lockedUntil = null;
+  if (row.failures >= policy.lockThreshold) {
+    lockedUntil = new Date(now + policy.lockMs);
+    update.lockedUntil = lockedUntil;
+    update.failures = 0;
+    update.expiresAt = new Date(Math.max(now + FAILURE_WINDOW_MS, lockedUntil.getTime()));
+  }
+  await LoginThrottle.updateOne({ key }, update);
+
+  return lockedUntil;
+}
+
+/**
+ * Count a failed attempt against both the account and the client
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} { accountLockedUntil } set when this failure locked the account
+ */
+async function recordLoginFailure(email, ip) {
+  const accountLockedUntil = await registerFailure(accountKey(email), ACCOUNT_POLICY);
+  await registerFailure(ipKey(ip), IP_POLICY);
+  return { accountLockedUntil };
+}
+
+/**
+ * Clear the account counters (successful login, unlock, password reset)
+ * @param {string} email - Account email
+ */
+async function clearAccountFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+module.exports = { getLoginBlock, recordLoginFailure, clearAccountFailures };
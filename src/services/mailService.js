@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const OutboxMessage = require('../models/OutboxMessage');
+
+const APP_URL = process.env.FRONTEND_ORIGIN || 'http://localhost:4200';
+const MAIL_FROM = process.env.MAIL_FROM || 'SkillForge <no-reply@skillforge.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox');
+
+// Transports receive a fully composed message and deliver it. Production deployments
+// register their own (SMTP, SES, ...) with registerTransport and select it via MAIL_TRANSPORT.
+const transports = {
+  // Default: store messages in the outbox collection
+  outbox: {
+    async send(message) {
+      await OutboxMessage.create(message);
+    },
+  },
+  // Write each message as a JSON file into a local directory
+  directory: {
+    async send(message) {
+      await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    },
+  },
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send(message) method
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html?, template? }
+ */
+async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  await transport.send({ from: MAIL_FROM, ...message });
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your SkillForge email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n\n${link}\n\nIf you did not create a SkillForge account you can ignore this message.`,
+    template: 'email_verification',
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your SkillForge password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Open the link below to choose a new one:\n\n${link}\n\nThe link expires soon and can only be used once. If you did not ask for this, ignore this message.`,
+    template: 'password_reset',
+  });
+}
+
+async function sendAccountUnlockEmail(user, token, lockedUntil) {
+  const link = `${APP_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Your SkillForge account has been temporarily locked',
+    text: `Hi ${user.name},\n\nWe locked your account after several failed sign-in attempts. It unlocks automatically at ${lockedUntil.toISOString()}, or you can unlock it now with the link below:\n\n${link}\n\nIf these attempts were not you, consider resetting your password.`,
+    template: 'account_unlock',
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+};
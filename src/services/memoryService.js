@@ -1,4 +1,5 @@
 const SkillMemoryBank = require('../models/SkillMemoryBank');
+const { canonicalSkill } = require('./skillTaxonomyService');
 
 function calculateDeltaFromScore(score) {
   if (typeof score !== 'number') return 0;
@@ -8,9 +9,11 @@ function calculateDeltaFromScore(score) {
   return -10;
 }
 
-async function updateMemoryFromScore(userId, topic, score) {
+async function updateMemoryFromScore(userId, rawTopic, score) {
   const delta = calculateDeltaFromScore(score);
   if (delta === 0) return null;
+  // "JS" and "JavaScript" build up the same concept
+  const topic = await canonicalSkill(rawTopic);
 
   const bank = await SkillMemoryBank.findOneAndUpdate(
     { userId },
@@ -18,7 +21,7 @@ async function updateMemoryFromScore(userId, topic, score) {
     { upsert: true, new: true }
   );
 
-  const concept = bank.concepts.find((c) => c.topic === topic);
+  const concept = bank.concepts.find((c) => c.topic.toLowerCase() === topic.toLowerCase());
   if (concept) {
     concept.strengthLevel = Math.max(0, Math.min(100, concept.strengthLevel + delta));
   } else {
@@ -28,6 +31,39 @@ async function updateMemoryFromScore(userId, topic, score) {
   return bank;
 }
 
-module.exports = { updateMemoryFromScore };
+// Starting strength for a concept the learner reports rather than earns
+const LEVEL_STRENGTH = { Beginner: 25, Intermediate: 50, Advanced: 70, Expert: 85 };
+
+/**
+ * Seed memory bank concepts from self-reported skill levels. New topics start at the
+ * level's strength; existing topics are only ever raised to it, never lowered.
+ * @param {string} userId - The user ID
+ * @param {Array<Object>} skills - [{ skill, level }]
+ * @returns {Promise<Object|null>} Updated bank, or null when there was nothing to seed
+ */
+async function seedConceptsFromSkills(userId, skills) {
+  if (!skills.length) return null;
+
+  const bank = await SkillMemoryBank.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { concepts: [] } },
+    { upsert: true, new: true }
+  );
+
+  for (const { skill: rawSkill, level } of skills) {
+    const skill = await canonicalSkill(rawSkill);
+    const strengthLevel = LEVEL_STRENGTH[level] || LEVEL_STRENGTH.Beginner;
+    const concept = bank.concepts.find((c) => c.topic.toLowerCase() === skill.toLowerCase());
+    if (concept) {
+      concept.strengthLevel = Math.max(concept.strengthLevel, strengthLevel);
+    } else {
+      bank.concepts.push({ topic: skill, strengthLevel });
+    }
+  }
+  await bank.save();
+  return bank;
+}
+
+module.exports = { LEVEL_STRENGTH, updateMemoryFromScore, seedConceptsFromSkills };
 
 
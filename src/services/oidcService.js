@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcLoginState = require('../models/OidcLoginState');
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+
+// Providers are configured through OIDC_PROVIDERS, a JSON array such as:
+// [{ "id": "acme", "name": "Acme SSO", "issuer": "https://sso.acme.test", "clientId": "...",
+//    "clientSecret": "...", "redirectUri": "http://localhost:4200/auth/oidc/acme/callback",
+//    "redirectUris": ["https://app.example.com/auth/oidc/acme/callback"] }]
+// redirectUri is the default; clients may only ask for it or one listed in redirectUris.
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+function oidcError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function getProviders() {
+  try {
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+    return Array.isArray(providers) ? providers : [];
+  } catch (error) {
+    console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Look up a configured provider
+ * @param {string} providerId - Provider id from OIDC_PROVIDERS
+ * @returns {Object} Provider configuration
+ */
+function getProvider(providerId) {
+  const provider = getProviders().find((p) => p.id === providerId);
+  if (!provider) throw oidcError('Unknown identity provider', 404);
+  return provider;
+}
+
+/**
+ * Public list of configured providers for the login screen
+ * @returns {Array<Object>} [{ id, name }]
+ */
+function listProviders() {
+  return getProviders().map((p) => ({ id: p.id, name: p.name || p.id }));
+}
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  if (!res.ok) {
+    // The provider's error body can describe our client setup; keep it in the server log
+    const body = await res.text().catch(() => '');
+    console.error(`Identity provider request to ${url} failed (${res.status}):`, body.slice(0, 500));
+    throw oidcError('Identity provider request failed', 502);
+  }
+  return res.json();
+}
+
+async function discover(provider) {
+  if (!discoveryCache.has(provider.issuer)) {
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const config = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.issuer, config);
+  }
+  return discoveryCache.get(provider.issuer);
+}
+
+async function getSigningKey(provider, kid) {
+  const config = await discover(provider);
+  let keys = jwksCache.get(config.jwks_uri);
+  let jwk = keys?.find((k) => !kid || k.kid === kid);
+  if (!jwk) {
+    // Unknown key id: the provider may have rotated keys since we cached them
+    keys = (await fetchJson(config.jwks_uri)).keys || [];
+    jwksCache.set(config.jwks_uri, keys);
+    jwk = keys.find((k) => !kid || k.kid === kid);
+  }
+  if (!jwk) throw oidcError('ID token signed with an unknown key', 401);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Pick the redirect URI for a login: the requested one if the provider allows it,
+ * otherwise the provider's default
+ * @param {Object} provider - Provider configuration
+ * @param {string} [requested] - Redirect URI asked for by the client
+ * @returns {string} Redirect URI
+ */
+function resolveRedirectUri(provider, requested) {
+  if (!requested) {
+    if (!provider.redirectUri) throw oidcError('No redirect URI configured for this provider');
+    return provider.redirectUri;
+  }
+  const allowed = [provider.redirectUri, ...(Array.isArray(provider.redirectUris) ? provider.redirectUris : [])];
+  if (!allowed.includes(requested)) throw oidcError('Redirect URI is not allowed for this provider');
+  return requested;
+}
+
+/**
+ * Start an authorization-code flow with PKCE
+ * @param {string} providerId - Provider id
+ * @param {Object} options - { redirectUri } one of the provider's allowed redirect URIs
+ * @returns {Promise<Object>} { authorizationUrl, state }
+ */
+async function createAuthorizationRequest(providerId, { redirectUri } = {}) {
+  const provider = getProvider(providerId);
+  const finalRedirectUri = resolveRedirectUri(provider, redirectUri);
+  const config = await discover(provider);
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  await OidcLoginState.create({
+    state,
+    providerId,
+    nonce,
+    codeVerifier,
+    redirectUri: finalRedirectUri,
+    expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: finalRedirectUri,
+    scope: provider.scope || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+
+  return { authorizationUrl: `${config.authorization_endpoint}?${params.toString()}`, state };
+}
+
+/**
+ * Verify an ID token's signature and standard claims
+ * @param {Object} provider - Provider configuration
+ * @param {string} idToken - Raw ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw oidcError('Malformed ID token', 401);
+
+  const config = await discover(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer: config.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) throw oidcError('ID token nonce mismatch', 401);
+  return claims;
+}
+
+/**
+ * Finish the flow: redeem the code and return the verified identity
+ * @param {string} providerId - Provider id
+ * @param {Object} params - { code, state } from the callback
+ * @returns {Promise<Object>} { provider, subject, email, emailVerified, name }
+ */
+async function completeAuthorization(providerId, { code, state }) {
+  const provider = getProvider(providerId);
+  const pending = await OidcLoginState.findOneAndDelete({ state, providerId });
+  if (!pending || pending.expiresAt <= new Date()) {
+    throw oidcError('Invalid or expired login state');
+  }
+
+  const config = await discover(provider);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: pending.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  if (provider.clientSecret) form.set('client_secret', provider.clientSecret);
+
+  const tokenResponse = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString(),
+  });
+  if (!tokenResponse.id_token) throw oidcError('Identity provider did not return an ID token', 502);
+
+  const claims = await verifyIdToken(provider, tokenResponse.id_token, pending.nonce);
+
+  // Some providers only put email in the userinfo response
+  let profile = claims;
+  if (!claims.email && config.userinfo_endpoint && tokenResponse.access_token) {
+    const userinfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokenResponse.access_token}` },
+    });
+    if (userinfo.sub === claims.sub) profile = { ...userinfo, ...claims };
+  }
+
+  return {
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: profile.email ? String(profile.email).toLowerCase() : null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(' ') || null,
+  };
+}
+
+/**
+ * Find the local account for an external identity, linking by verified email or creating
+ * a new account (with its UserProfile, as /signup does) on first login
+ * @param {Object} identity - Result of completeAuthorization
+ * @returns {Promise<Object>} { user, created, linked }
+ */
+async function resolveUserForIdentity(identity) {
+  const { provider, subject, email, emailVerified, name } = identity;
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: { provider, subject } } });
+  if (linkedUser) return { user: linkedUser, created: false, linked: false };
+
+  if (!email || !emailVerified) {
+    throw oidcError('The identity provider did not supply a verified email address');
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    // Someone could have registered this address without proving they own it; linking
+    // would hand them the provider's identity, so insist on verification first.
+    if (existing.emailVerified === false) {
+      throw oidcError('An unverified account already uses this email. Verify it before linking.', 409);
+    }
+    existing.identities.push({ provider, subject, email });
+    await existing.save();
+    return { user: existing, created: false, linked: true };
+  }
+
+  const fallbackName = email.split('@')[0].padEnd(2, '_');
+  const user = await User.create({
+    name: (name || fallbackName).slice(0, 100),
+    email,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [{ provider, subject, email }],
+  });
+
+  await UserProfile.create({
+    userId: user._id,
+    fullName: user.name,
+    email,
+  });
+
+  return { user, created: true, linked: true };
+}
+
+module.exports = {
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  verifyIdToken,
+  resolveUserForIdentity,
+};
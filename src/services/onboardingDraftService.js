@@ -0,0 +1,37 @@
+const OnboardingDraft = require('../models/OnboardingDraft');
+const { pickStepFields } = require('./onboardingFlow');
+
+const DRAFT_TTL_MS = Number(process.env.ONBOARDING_DRAFT_TTL_DAYS || 14) * 24 * 60 * 60 * 1000;
+
+/**
+ * Merge partial answers into the draft for a step, extending its expiry
+ * @param {string} userId - The user ID
+ * @param {Object} definition - Step definition from onboardingFlow
+ * @param {Object} answers - Partial answers; fields the step does not own are ignored
+ * @returns {Promise<Object>} OnboardingDraft document
+ */
+async function saveDraft(userId, definition, answers) {
+  const update = { expiresAt: new Date(Date.now() + DRAFT_TTL_MS) };
+  for (const [field, value] of Object.entries(pickStepFields(definition, answers))) {
+    update[`answers.${field}`] = value;
+  }
+  return OnboardingDraft.findOneAndUpdate(
+    { userId, step: definition.step },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+async function getDraft(userId, step) {
+  return OnboardingDraft.findOne({ userId, step, expiresAt: { $gt: new Date() } }).lean();
+}
+
+async function listDrafts(userId) {
+  return OnboardingDraft.find({ userId, expiresAt: { $gt: new Date() } }).lean();
+}
+
+async function discardDraft(userId, step) {
+  await OnboardingDraft.deleteOne({ userId, step });
+}
+
+module.exports = { saveDraft, getDraft, listDrafts, discardDraft };
@@ -0,0 +1,396 @@
+const { body, validationResult } = require('express-validator');
+
+// Declarative definition of the onboarding wizard. Each step lists the profile fields it
+// writes, which of them must be filled for onboarding to count as complete, the
+// express-validator chains a submission has to pass, and whether it may be skipped.
+//
+// onboardingStep on the profile is the step the learner is on: 0 before starting,
+// 1..9 while in progress and COMPLETED_STEP once the last step has been submitted.
+const STEPS = [
+  {
+    step: 1,
+    key: 'basic-profile',
+    title: 'Welcome & Basic Profile',
+    message: 'Basic profile saved successfully',
+    skippable: false,
+    fields: ['fullName', 'email', 'phoneNumber', 'jobTitle', 'company', 'industry', 'yearsExperience', 'preferredLanguage'],
+    required: ['fullName', 'email', 'jobTitle', 'industry', 'yearsExperience', 'preferredLanguage'],
+    validators: () => [
+      body('fullName').isString().trim().notEmpty().withMessage('Full name is required'),
+      body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+      body('phoneNumber').optional().isString().trim(),
+      body('jobTitle').isString().trim().notEmpty().withMessage('Job title is required'),
+      body('company').optional().isString().trim(),
+      body('industry').isString().trim().notEmpty().withMessage('Industry is required'),
+      body('yearsExperience').isIn(['0-2', '3-5', '6-10', '10+']).withMessage('Valid years of experience is required'),
+      body('preferredLanguage').isString().trim().notEmpty().withMessage('Preferred language is required'),
+    ],
+  },
+  {
+    step: 2,
+    key: 'learning-goals',
+    title: 'Learning Goals & Context',
+    message: 'Learning goals saved successfully',
+    skippable: false,
+    fields: ['primaryLearningGoal', 'targetRole', 'learningTimeline', 'motivationLevel', 'currentChallenge'],
+    required: ['primaryLearningGoal', 'learningTimeline', 'motivationLevel', 'currentChallenge'],
+    validators: () => [
+      body('primaryLearningGoal').isIn(['Career advancement', 'Skill enhancement', 'Career change', 'Interview prep', 'Personal interest']).withMessage('Valid primary learning goal is required'),
+      body('targetRole').optional().isString().trim(),
+      body('learningTimeline').isIn(['1 month', '3 months', '6 months', '1 year', 'No deadline']).withMessage('Valid learning timeline is required'),
+      body('motivationLevel').isIn(['Casual learner', 'Moderate commitment', 'Highly motivated', 'Career critical']).withMessage('Valid motivation level is required'),
+      body('currentChallenge').isIn(['Lack of time', 'Don\'t know where to start', 'Need structured learning', 'Want to stay updated']).withMessage('Valid current challenge is required'),
+    ],
+  },
+  {
+    step: 3,
+    key: 'learning-preferences',
+    title: 'Learning Preferences',
+    message: 'Learning preferences saved successfully',
+    skippable: true,
+    fields: ['learningStyle', 'contentFormat', 'sessionDuration', 'learningDifficulty', 'preferredDevice'],
+    required: ['learningStyle', 'contentFormat', 'sessionDuration', 'learningDifficulty', 'preferredDevice'],
+    validators: () => [
+      body('learningStyle').isIn(['Visual', 'Auditory', 'Hands-on/Kinesthetic', 'Reading/Text']).withMessage('Valid learning style is required'),
+      body('contentFormat').isIn(['Video tutorials', 'Interactive exercises', 'Text articles', 'Combination']).withMessage('Valid content format is required'),
+      body('sessionDuration').isIn(['5-15 min', '15-30 min', '30-60 min', '60+ min']).withMessage('Valid session duration is required'),
+      body('learningDifficulty').isIn(['Gradual progression', 'Moderate pace', 'Fast-track/Intensive']).withMessage('Valid learning difficulty is required'),
+      body('preferredDevice').isIn(['Mobile', 'Desktop', 'Tablet', 'All equally']).withMessage('Valid preferred device is required'),
+    ],
+  },
+  {
+    step: 4,
+    key: 'schedule',
+    title: 'Schedule & Availability',
+    message: 'Schedule and availability saved successfully',
+    skippable: false,
+    fields: ['dailyTime', 'bestLearningTimes', 'daysPerWeek', 'timeZone', 'reminderMethod'],
+    required: ['dailyTime', 'bestLearningTimes', 'daysPerWeek', 'timeZone', 'reminderMethod'],
+    validators: () => [
+      body('dailyTime').isIn(['15-30 min', '30-60 min', '1-2 hours', '2+ hours']).withMessage('Valid daily time is required'),
+      body('bestLearningTimes').isArray({ min: 1 }).withMessage('At least one best learning time is required'),
+      body('bestLearningTimes.*').isIn(['Morning', 'Afternoon', 'Evening', 'Late night']).withMessage('Valid best learning times are required'),
+      body('daysPerWeek').isIn(['1-2 days', '3-4 days', '5-6 days', 'Daily']).withMessage('Valid days per week is required'),
+      body('timeZone').isString().trim().notEmpty().withMessage('Time zone is required'),
+      body('reminderMethod').isIn(['Email', 'Push notification', 'SMS', 'None']).withMessage('Valid reminder method is required'),
+    ],
+  },
+  {
+    step: 5,
+    key: 'skills-setup',
+    title: 'Skills Assessment Setup',
+    message: 'Skills assessment setup saved successfully',
+    skippable: false,
+    fields: ['primarySkillCategory', 'skillsToLearn', 'currentSkillLevels', 'relatedSkills', 'prioritySkills'],
+    required: ['primarySkillCategory', 'skillsToLearn', 'currentSkillLevels', 'prioritySkills'],
+    validators: () => [
+      body('primarySkillCategory').isString().trim().notEmpty().withMessage('Primary skill category is required'),
+      body('skillsToLearn').isArray({ min: 1 }).withMessage('At least one skill to learn is required'),
+      body('skillsToLearn.*').isString().trim().notEmpty().withMessage('Each skill must be a non-empty string'),
+      body('currentSkillLevels').isArray({ min: 1 }).withMessage('Current skill levels are required'),
+      body('currentSkillLevels.*.skill').isString().trim().notEmpty().withMessage('Skill name is required'),
+      body('currentSkillLevels.*.level').isIn(['Beginner', 'Intermediate', 'Advanced', 'Expert']).withMessage('Valid skill level is required'),
+      body('relatedSkills').optional().isArray(),
+      body('relatedSkills.*').optional().isString().trim(),
+      body('prioritySkills').isArray({ min: 1, max: 3 }).withMessage('1-3 priority skills are required'),
+      body('prioritySkills.*').isString().trim().notEmpty().withMessage('Each priority skill must be a non-empty string'),
+    ],
+  },
+  {
+    step: 6,
+    key: 'background',
+    title: 'Background & Experience',
+    message: 'Background and experience saved successfully',
+    skippable: true,
+    fields: ['educationLevel', 'certifications', 'previousLearningExperience', 'teamRole', 'learningBudget'],
+    required: ['educationLevel', 'previousLearningExperience', 'teamRole', 'learningBudget'],
+    validators: () => [
+      body('educationLevel').isIn(['High School', 'Bachelor\'s', 'Master\'s', 'PhD', 'Professional Certification', 'Self-taught']).withMessage('Valid education level is required'),
+      body('certifications').optional().isArray(),
+      body('certifications.*').optional().isString().trim(),
+      body('previousLearningExperience').isIn(['Online courses', 'Bootcamps', 'University', 'Self-study', 'None']).withMessage('Valid previous learning experience is required'),
+      body('teamRole').isIn(['Individual contributor', 'Team lead', 'Manager', 'Senior manager', 'Executive', 'Student']).withMessage('Valid team role is required'),
+      body('learningBudget').isIn(['Free only', '<$50/month', '$50-200/month', '$200+/month', 'Company sponsored']).withMessage('Valid learning budget is required'),
+    ],
+  },
+  {
+    step: 7,
+    key: 'success-metrics',
+    title: 'Success Metrics & Preferences',
+    message: 'Success metrics and preferences saved successfully',
+    skippable: true,
+    fields: ['successMeasurement', 'progressTracking', 'communityParticipation', 'accessibilityRequirements', 'communicationPreferences'],
+    required: ['successMeasurement', 'progressTracking', 'communityParticipation', 'communicationPreferences'],
+    validators: () => [
+      body('successMeasurement').isIn(['Completion certificates', 'Skill assessments', 'Real projects', 'Portfolio building', 'Job placement']).withMessage('Valid success measurement is required'),
+      body('progressTracking').isIn(['Detailed analytics', 'Simple progress bar', 'Milestone-based', 'Minimal tracking']).withMessage('Valid progress tracking preference is required'),
+      body('communityParticipation').isIn(['Very active', 'Moderate participation', 'Occasional', 'Prefer solo learning']).withMessage('Valid community participation preference is required'),
+      body('accessibilityRequirements').optional().isArray(),
+      body('accessibilityRequirements.*').optional().isIn(['Screen reader', 'Large text', 'High contrast', 'Keyboard navigation', 'None']),
+      body('communicationPreferences').isArray({ min: 1 }).withMessage('At least one communication preference is required'),
+      body('communicationPreferences.*').isIn(['Email updates', 'In-app notifications', 'SMS reminders', 'Weekly digests']).withMessage('Valid communication preferences are required'),
+    ],
+  },
+  {
+    step: 8,
+    key: 'skill-assessment',
+    title: 'Skill Assessment',
+    message: 'Skill assessment saved successfully',
+    skippable: true,
+    fields: ['skillAssessments'],
+    required: ['skillAssessments'],
+    validators: () => [
+      body('skillAssessments').isArray({ min: 1 }).withMessage('Skill assessments are required'),
+      body('skillAssessments.*.skill').isString().trim().notEmpty().withMessage('Skill name is required'),
+      body('skillAssessments.*.confidenceLevel').isInt({ min: 1, max: 10 }).withMessage('Confidence level must be between 1 and 10'),
+      body('skillAssessments.*.recentExperience').isIn(['Currently using', 'Within 6 months', '6-12 months ago', '1+ years ago', 'Never used professionally']).withMessage('Valid recent experience is required'),
+      body('skillAssessments.*.learningGoal').isIn(['Learn basics', 'Improve proficiency', 'Master advanced concepts', 'Stay updated with trends']).withMessage('Valid learning goal is required'),
+    ],
+  },
+  {
+    step: 9,
+    key: 'final-setup',
+    title: 'Final Setup & Preferences',
+    message: 'Final setup and preferences saved successfully',
+    skippable: false,
+    fields: ['profilePrivacy', 'dataSharing', 'notificationPreferences', 'themePreference', 'betaFeatures'],
+    required: ['profilePrivacy'],
+    validators: () => [
+      body('profilePrivacy').isIn(['Public profile', 'Private', 'Visible to connections only']).withMessage('Valid profile privacy setting is required'),
+      body('dataSharing.analytics').isBoolean().withMessage('Analytics data sharing preference is required'),
+      body('dataSharing.marketing').isBoolean().withMessage('Marketing data sharing preference is required'),
+      body('dataSharing.thirdParty').isBoolean().withMessage('Third-party data sharing preference is required'),
+      body('notificationPreferences.email').isBoolean().withMessage('Email notification preference is required'),
+      body('notificationPreferences.push').isBoolean().withMessage('Push notification preference is required'),
+      body('notificationPreferences.sms').isBoolean().withMessage('SMS notification preference is required'),
+      body('themePreference').isIn(['Dark mode', 'Light mode', 'Auto']).withMessage('Valid theme preference is required'),
+      body('betaFeatures').isBoolean().withMessage('Beta features preference is required'),
+    ],
+  },
+];
+
+const FIRST_STEP = STEPS[0].step;
+const LAST_STEP = STEPS[STEPS.length - 1].step;
+const COMPLETED_STEP = LAST_STEP + 1;
+
+function getStep(step) {
+  return STEPS.find((definition) => definition.step === Number(step)) || null;
+}
+
+function isFilled(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Copy a step's fields out of a request body or stored document
+ * @param {Object} definition - Step definition
+ * @param {Object} source - Object holding the answers
+ * @returns {Object} Only the fields the step owns
+ */
+function pickStepFields(definition, source = {}) {
+  const answers = {};
+  for (const field of definition.fields) {
+    if (source[field] !== undefined) answers[field] = source[field];
+  }
+  return answers;
+}
+
+/**
+ * Run a step's validators against answers that did not arrive as a request body
+ * (stored drafts, imported documents)
+ * @param {Object} definition - Step definition
+ * @param {Object} answers - Candidate answers
+ * @returns {Promise<Object>} { errors, answers } with sanitized answers
+ */
+async function validateStepAnswers(definition, answers) {
+  const req = { body: JSON.parse(JSON.stringify(answers || {})) };
+  await Promise.all(definition.validators().map((validator) => validator.run(req)));
+  return { errors: validationResult(req).array(), answers: req.body };
+}
+
+/**
+ * Validate profile fields that arrive outside the wizard (imports) with the same rules,
+ * field by field: fields a step requires but the input lacks are not errors here
+ * @param {Object} answers - Candidate profile fields, from any step
+ * @returns {Promise<Object>} { accepted: sanitized fields, rejected: [{ field, step, reason }] }
+ */
+async function validateProfileFields(answers) {
+  const accepted = {};
+  const rejected = [];
+  for (const definition of STEPS) {
+    const present = pickStepFields(definition, answers);
+    if (Object.keys(present).length === 0) continue;
+
+    const { errors, answers: sanitized } = await validateStepAnswers(definition, present);
+    const failures = new Map();
+    for (const error of errors) {
+      // Paths look like currentSkillLevels[0].level; the field is the first segment
+      const field = error.path.split(/[.[]/)[0];
+      if (field in present && !failures.has(field)) failures.set(field, error.msg);
+    }
+    for (const field of Object.keys(present)) {
+      if (failures.has(field)) rejected.push({ field, step: definition.step, reason: failures.get(field) });
+      else accepted[field] = sanitized[field];
+    }
+  }
+  return { accepted, rejected };
+}
+
+/**
+ * Record a valid submission of a step on the profile and advance it
+ * @param {Object} profile - UserProfile document
+ * @param {Object} definition - Step definition
+ * @param {Object} answers - Validated answers
+ */
+function applyStepAnswers(profile, definition, answers) {
+  profile.set(pickStepFields(definition, answers));
+  profile.onboardingStep = nextStepAfter(profile, definition.step);
+  profile.onboardingSkippedSteps.pull(definition.step);
+  if (profile.onboardingStep === COMPLETED_STEP && missingFields(profile).length === 0) {
+    profile.onboardingComplete = true;
+  }
+}
+
+/**
+ * Required fields a step is still missing
+ * @param {Object} definition - Step definition
+ * @param {Object} profile - Profile (or plain object) holding the answers
+ * @returns {Array<string>} Field names
+ */
+function missingStepFields(definition, profile = {}) {
+  return definition.required.filter((field) => !isFilled(profile[field]));
+}
+
+/**
+ * Required fields missing across the whole flow. Skipped steps are not required.
+ * @param {Object} profile - UserProfile
+ * @returns {Array<Object>} [{ step, field }]
+ */
+function missingFields(profile = {}) {
+  const skipped = profile.onboardingSkippedSteps || [];
+  return STEPS
+    .filter((definition) => !skipped.includes(definition.step))
+    .flatMap((definition) => missingStepFields(definition, profile).map((field) => ({ step: definition.step, field })));
+}
+
+/**
+ * Check whether a transition is allowed from the profile's current position
+ * @param {Object} profile - UserProfile (may be null before onboarding starts)
+ * @param {string} transition - 'submit' | 'draft' | 'skip' | 'back'
+ * @param {number} step - Step the transition applies to (submit, draft and skip)
+ * @returns {string|null} Reason the transition is refused, or null when allowed
+ */
+function transitionError(profile, transition, step) {
+  const current = profile?.onboardingStep || 0;
+  const definition = getStep(step);
+
+  switch (transition) {
+    case 'submit':
+      if (!definition) return 'Unknown onboarding step';
+      if (current < FIRST_STEP) return 'Onboarding has not been started';
+      // Earlier steps may be revisited and resubmitted; later ones must wait their turn
+      if (definition.step > current) return `Complete step ${current} first`;
+      return null;
+    case 'skip':
+      if (!definition) return 'Unknown onboarding step';
+      if (!definition.skippable) return `Step ${definition.step} cannot be skipped`;
+      if (definition.step !== current) return 'Only the current step can be skipped';
+      return null;
+    case 'draft':
+      if (!definition) return 'Unknown onboarding step';
+      if (current < FIRST_STEP) return 'Onboarding has not been started';
+      if (definition.step > current) return `Complete step ${current} first`;
+      return null;
+    case 'back':
+      if (current <= FIRST_STEP) return 'Already at the first step';
+      if (current >= COMPLETED_STEP) return 'Onboarding is already complete';
+      return null;
+    default:
+      return 'Unknown transition';
+  }
+}
+
+/**
+ * Step the profile moves to after submitting or skipping a step
+ * @param {Object} profile - UserProfile
+ * @param {number} step - Submitted step
+ * @returns {number} New onboardingStep
+ */
+function nextStepAfter(profile, step) {
+  const current = profile?.onboardingStep || 0;
+  // Resubmitting an earlier step keeps the learner where they were
+  return Number(step) === current ? current + 1 : current;
+}
+
+/**
+ * Transitions the client may offer from the profile's current position
+ * @param {Object} profile - UserProfile
+ * @returns {Array<string>} Transition names
+ */
+function allowedTransitions(profile) {
+  const current = profile?.onboardingStep || 0;
+  if (current < FIRST_STEP) return ['start'];
+  if (current >= COMPLETED_STEP) return [];
+  return ['submit', 'skip', 'back'].filter((transition) => !transitionError(profile, transition, current));
+}
+
+/**
+ * Everything a client needs to render or resume the wizard
+ * @param {Object} profile - UserProfile (may be null)
+ * @param {Array<Object>} drafts - The learner's OnboardingDraft documents
+ * @returns {Object} Onboarding state
+ */
+function describeState(profile, drafts = []) {
+  const current = profile?.onboardingStep || 0;
+  const skipped = profile?.onboardingSkippedSteps || [];
+
+  const steps = STEPS.map((definition) => {
+    let status = 'pending';
+    if (skipped.includes(definition.step)) status = 'skipped';
+    else if (definition.step < current) status = 'completed';
+    else if (definition.step === current) status = 'current';
+
+    return {
+      step: definition.step,
+      key: definition.key,
+      title: definition.title,
+      skippable: definition.skippable,
+      status,
+      answers: pickStepFields(definition, profile || {}),
+      draft: drafts.find((draft) => draft.step === definition.step)?.answers || null,
+      missing: missingStepFields(definition, profile || {}),
+    };
+  });
+
+  return {
+    currentStep: current,
+    totalSteps: STEPS.length,
+    started: current >= FIRST_STEP,
+    completed: Boolean(profile?.onboardingComplete),
+    skippedSteps: skipped,
+    allowedTransitions: allowedTransitions(profile),
+    missing: missingFields(profile || {}),
+    steps,
+  };
+}
+
+module.exports = {
+  STEPS,
+  FIRST_STEP,
+  LAST_STEP,
+  COMPLETED_STEP,
+  getStep,
+  isFilled,
+  pickStepFields,
+  missingStepFields,
+  missingFields,
+  transitionError,
+  nextStepAfter,
+  validateStepAnswers,
+  validateProfileFields,
+  applyStepAnswers,
+  describeState,
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+const { hashToken } = require('./tokenService');
+
+const PAT_PREFIX = 'sfp_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// API mount points a personal access token may reach, and the resource its scopes name.
+// Anything not listed here (auth, admin, runner, ...) is off limits to tokens entirely.
+const SCOPE_RESOURCES = {
+  '/api/profile': 'profile',
+  '/api/onboarding': 'profile',
+  '/api/roadmap': 'roadmap',
+  '/api/lesson': 'lesson',
+  '/api/progress': 'progress',
+  '/api/challenge': 'challenge',
+  '/api/challenges': 'challenge',
+  '/api/leaderboard': 'leaderboard',
+  '/api/analytics': 'analytics',
+  '/api/badges': 'badges',
+  '/api/squad': 'squad',
+  '/api/connections': 'connections',
+  '/api/research': 'research',
+  '/api/tutor': 'tutor',
+};
+
+const SCOPES = [...new Set(Object.values(SCOPE_RESOURCES))]
+  .flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isPersonalAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(PAT_PREFIX);
+}
+
+/**
+ * Work out which scope a request needs, e.g. GET /api/progress -> progress:read
+ * @param {Object} req - Express request
+ * @returns {string|null} Scope, or null when tokens may not call this route at all
+ */
+function requiredScopeFor(req) {
+  const resource = SCOPE_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+  return `${resource}:${access}`;
+}
+
+/**
+ * Create a token. The raw value is returned once and never stored.
+ * @param {string} userId - Owner
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} { token, personalAccessToken }
+ */
+async function createPersonalAccessToken(userId, { name, scopes, expiresInDays }) {
+  const token = `${PAT_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const doc = await PersonalAccessToken.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, PAT_PREFIX.length + 6),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+  });
+  return { token, personalAccessToken: serializeToken(doc) };
+}
+
+function serializeToken(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    prefix: doc.prefix,
+    scopes: doc.scopes,
+    expiresAt: doc.expiresAt,
+    lastUsedAt: doc.lastUsedAt,
+    lastUsedIp: doc.lastUsedIp,
+    createdAt: doc.createdAt,
+  };
+}
+
+async function listPersonalAccessTokens(userId) {
+  const docs = await PersonalAccessToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 }).lean();
+  return docs.map(serializeToken);
+}
+
+/**
+ * Revoke one of the user's tokens
+ * @returns {Promise<boolean>} false when no such active token exists
+ */
+async function revokePersonalAccessToken(userId, tokenId) {
+  const result = await PersonalAccessToken.updateOne(
+    { _id: tokenId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Resolve a raw token to its owner and record its use
+ * @param {string} token - Raw token from the Authorization header
+ * @param {Object} context - { ip }
+ * @returns {Promise<Object>} { personalAccessToken, user }
+ */
+async function authenticatePersonalAccessToken(token, { ip } = {}) {
+  const doc = await PersonalAccessToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!doc || (doc.expiresAt && doc.expiresAt <= new Date())) {
+    throw authError('Invalid or expired token');
+  }
+
+  const user = await User.findById(
+    doc.userId,
+    { email: 1, roles: 1, emailVerified: 1, deletedAt: 1, 'twoFactor.required': 1 }
+  ).lean();
+  if (!user || user.deletedAt) throw authError('Invalid or expired token');
+
+  const now = Date.now();
+  if (!doc.lastUsedAt || now - doc.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || doc.lastUsedIp !== ip) {
+    await PersonalAccessToken.updateOne({ _id: doc._id }, { lastUsedAt: new Date(now), lastUsedIp: ip });
+  }
+
+  return { personalAccessToken: doc, user };
+}
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  requiredScopeFor,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+  authenticatePersonalAccessToken,
+};
@@ -0,0 +1,129 @@
+const { STEPS, isFilled } = require('./onboardingFlow');
+
+// Personalisation features a profile field feeds
+const FEATURES = {
+  ROADMAP_TOPICS: 'Roadmap topics',
+  ROADMAP_PACING: 'Roadmap pacing',
+  LESSON_DIFFICULTY: 'Lesson difficulty',
+  LESSON_FORMAT: 'Lesson format',
+  SESSION_LENGTH: 'Session length',
+  SKILL_GAP: 'Skill gap analysis',
+  REMINDERS: 'Study reminders',
+  MILESTONES: 'Progress milestones',
+  RESOURCES: 'Resource suggestions',
+  SQUADS: 'Squad suggestions',
+};
+
+// How much each field improves roadmap and lesson personalisation. Fields that only
+// configure the app itself (theme, beta features, data sharing) do not count.
+const FIELD_WEIGHTS = {
+  fullName: { weight: 1, unlocks: [] },
+  email: { weight: 1, unlocks: [FEATURES.REMINDERS] },
+  phoneNumber: { weight: 0.5, unlocks: [FEATURES.REMINDERS] },
+  jobTitle: { weight: 3, unlocks: [FEATURES.ROADMAP_TOPICS, FEATURES.SKILL_GAP] },
+  company: { weight: 0.5, unlocks: [] },
+  industry: { weight: 2, unlocks: [FEATURES.ROADMAP_TOPICS] },
+  yearsExperience: { weight: 4, unlocks: [FEATURES.LESSON_DIFFICULTY, FEATURES.ROADMAP_PACING] },
+  preferredLanguage: { weight: 2, unlocks: [FEATURES.LESSON_FORMAT] },
+
+  primaryLearningGoal: { weight: 5, unlocks: [FEATURES.ROADMAP_TOPICS, FEATURES.MILESTONES] },
+  targetRole: { weight: 5, unlocks: [FEATURES.ROADMAP_TOPICS, FEATURES.SKILL_GAP] },
+  learningTimeline: { weight: 4, unlocks: [FEATURES.ROADMAP_PACING, FEATURES.MILESTONES] },
+  motivationLevel: { weight: 2, unlocks: [FEATURES.ROADMAP_PACING, FEATURES.REMINDERS] },
+  currentChallenge: { weight: 2, unlocks: [FEATURES.ROADMAP_PACING] },
+
+  learningStyle: { weight: 3, unlocks: [FEATURES.LESSON_FORMAT] },
+  contentFormat: { weight: 3, unlocks: [FEATURES.LESSON_FORMAT, FEATURES.RESOURCES] },
+  sessionDuration: { weight: 3, unlocks: [FEATURES.SESSION_LENGTH] },
+  learningDifficulty: { weight: 3, unlocks: [FEATURES.LESSON_DIFFICULTY, FEATURES.ROADMAP_PACING] },
+  preferredDevice: { weight: 1, unlocks: [FEATURES.LESSON_FORMAT] },
+
+  dailyTime: { weight: 4, unlocks: [FEATURES.ROADMAP_PACING, FEATURES.SESSION_LENGTH] },
+  bestLearningTimes: { weight: 1, unlocks: [FEATURES.REMINDERS] },
+  daysPerWeek: { weight: 3, unlocks: [FEATURES.ROADMAP_PACING] },
+  timeZone: { weight: 1, unlocks: [FEATURES.REMINDERS] },
+  reminderMethod: { weight: 1, unlocks: [FEATURES.REMINDERS] },
+
+  primarySkillCategory: { weight: 3, unlocks: [FEATURES.ROADMAP_TOPICS] },
+  skillsToLearn: { weight: 6, unlocks: [FEATURES.ROADMAP_TOPICS, FEATURES.RESOURCES] },
+  currentSkillLevels: { weight: 6, unlocks: [FEATURES.LESSON_DIFFICULTY, FEATURES.SKILL_GAP] },
+  relatedSkills: { weight: 1, unlocks: [FEATURES.ROADMAP_TOPICS] },
+  prioritySkills: { weight: 4, unlocks: [FEATURES.ROADMAP_TOPICS] },
+
+  educationLevel: { weight: 1, unlocks: [FEATURES.LESSON_DIFFICULTY] },
+  certifications: { weight: 1, unlocks: [FEATURES.SKILL_GAP] },
+  previousLearningExperience: { weight: 1, unlocks: [FEATURES.LESSON_FORMAT] },
+  teamRole: { weight: 1, unlocks: [FEATURES.ROADMAP_TOPICS] },
+  learningBudget: { weight: 1, unlocks: [FEATURES.RESOURCES] },
+
+  successMeasurement: { weight: 2, unlocks: [FEATURES.MILESTONES] },
+  progressTracking: { weight: 1, unlocks: [FEATURES.MILESTONES] },
+  communityParticipation: { weight: 1, unlocks: [FEATURES.SQUADS] },
+  accessibilityRequirements: { weight: 1, unlocks: [FEATURES.LESSON_FORMAT] },
+  communicationPreferences: { weight: 1, unlocks: [FEATURES.REMINDERS] },
+
+  skillAssessments: { weight: 5, unlocks: [FEATURES.LESSON_DIFFICULTY, FEATURES.SKILL_GAP] },
+
+  profilePrivacy: { weight: 0.5, unlocks: [FEATURES.SQUADS] },
+  notificationPreferences: { weight: 0.5, unlocks: [FEATURES.REMINDERS] },
+};
+
+const TOTAL_WEIGHT = Object.values(FIELD_WEIGHTS).reduce((sum, { weight }) => sum + weight, 0);
+const NEXT_STEP_COUNT = 3;
+
+// jobTitle -> "job title"
+function labelOf(field) {
+  return field.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * Score how complete a profile is for personalisation
+ * @param {Object|null} profile - UserProfile (null before onboarding)
+ * @returns {Object} { score, missing: missing fields grouped by step, unlockable, nextSteps }
+ */
+function scoreProfile(profile) {
+  const source = profile || {};
+  const skipped = source.onboardingSkippedSteps || [];
+  let filledWeight = 0;
+  const missing = [];
+
+  for (const definition of STEPS) {
+    const fields = [];
+    for (const field of definition.fields) {
+      const entry = FIELD_WEIGHTS[field];
+      if (!entry) continue;
+      if (isFilled(source[field])) filledWeight += entry.weight;
+      else fields.push({ field, weight: entry.weight, unlocks: entry.unlocks });
+    }
+    if (fields.length) {
+      missing.push({
+        step: definition.step,
+        key: definition.key,
+        title: definition.title,
+        skipped: skipped.includes(definition.step),
+        fields: fields.sort((a, b) => b.weight - a.weight),
+      });
+    }
+  }
+
+  const missingFields = missing.flatMap((group) => group.fields.map((entry) => ({ ...entry, step: group.step })));
+  const nextSteps = missingFields
+    .filter((entry) => entry.unlocks.length)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, NEXT_STEP_COUNT)
+    .map((entry) => ({
+      step: entry.step,
+      field: entry.field,
+      unlocks: entry.unlocks,
+      prompt: `Add your ${labelOf(entry.field)} to improve ${entry.unlocks.join(' and ').toLowerCase()}`,
+    }));
+
+  return {
+    score: Math.round((filledWeight / TOTAL_WEIGHT) * 100),
+    missing,
+    unlockable: [...new Set(missingFields.flatMap((entry) => entry.unlocks))],
+    nextSteps,
+  };
+}
+
+module.exports = { FEATURES, FIELD_WEIGHTS, scoreProfile };
@@ -0,0 +1,129 @@
+const { canonicalSkillLookup } = require('./skillTaxonomyService');
+
+// Sections of a resume diff, in the order they are presented and applied
+const DIFF_FIELDS = ['skills', 'currentSkillLevels', 'certifications', 'jobTitle', 'company'];
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+
+// Skills are compared by canonical name so "ReactJS" on the resume matches "React" on the profile
+function skillKeyOf(canonical) {
+  return (name = '') => canonical(String(name)).toLowerCase();
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function scalarChange(current, extracted) {
+  if (!extracted || !String(extracted).trim() || sameText(current, extracted)) return null;
+  return { from: current || null, to: String(extracted).trim() };
+}
+
+/**
+ * Compare a resume analysis against the learner's profile
+ * @param {Object} profile - UserProfile document or plain object
+ * @param {Object} result - Resume job result (see toOnboardingData)
+ * @returns {Promise<Object>} { skills: { added, removed }, currentSkillLevels, certifications: { added }, jobTitle, company }
+ */
+async function diffProfileWithResume(profile, result) {
+  const canonical = await canonicalSkillLookup();
+  const skillKey = skillKeyOf(canonical);
+  const personalInfo = result.personalInfo || {};
+  const resumeLevels = (result.skillsAssessment?.currentSkillLevels || result.skills || [])
+    .filter((entry) => entry && entry.skill)
+    // Model output is not trusted to stick to the profile's level enum
+    .map((entry) => ({ skill: entry.skill, level: SKILL_LEVELS.includes(entry.level) ? entry.level : null }));
+  const profileLevels = (profile.currentSkillLevels || []).filter((entry) => entry && entry.skill);
+
+  const profileByKey = new Map(profileLevels.map((entry) => [skillKey(entry.skill), entry]));
+  const resumeByKey = new Map(resumeLevels.map((entry) => [skillKey(entry.skill), entry]));
+
+  const added = [];
+  const levelChanges = [];
+  for (const [key, entry] of resumeByKey) {
+    const current = profileByKey.get(key);
+    if (!current) {
+      added.push({ skill: canonical(entry.skill), level: entry.level || 'Beginner' });
+    } else if (entry.level && current.level !== entry.level) {
+      levelChanges.push({ skill: current.skill, from: current.level || null, to: entry.level });
+    }
+  }
+  const removed = profileLevels
+    .filter((entry) => !resumeByKey.has(skillKey(entry.skill)))
+    .map((entry) => entry.skill);
+
+  const knownCertifications = (profile.certifications || []).map((name) => name.toLowerCase());
+  const newCertifications = [...new Set(result.background?.certifications || [])]
+    .filter((name) => name && !knownCertifications.includes(name.toLowerCase()));
+
+  return {
+    skills: { added, removed },
+    currentSkillLevels: levelChanges,
+    certifications: { added: newCertifications },
+    jobTitle: scalarChange(profile.jobTitle, personalInfo.jobTitle),
+    company: scalarChange(profile.company, personalInfo.company),
+  };
+}
+
+/**
+ * Sections of a diff that would change something
+ * @param {Object} diff - Result of diffProfileWithResume
+ * @returns {Array<string>} Field names from DIFF_FIELDS
+ */
+function changedFields(diff) {
+  return DIFF_FIELDS.filter((field) => {
+    const section = diff[field];
+    if (!section) return false;
+    if (field === 'skills') return section.added.length > 0 || section.removed.length > 0;
+    if (field === 'certifications') return section.added.length > 0;
+    if (Array.isArray(section)) return section.length > 0;
+    return true;
+  });
+}
+
+/**
+ * Apply the chosen sections of a diff to a profile document (not saved)
+ * @param {Object} profile - UserProfile document
+ * @param {Object} diff - Result of diffProfileWithResume
+ * @param {Array<string>} fields - Sections to apply
+ * @returns {Promise<Array<Object>>} Skills whose level was set, [{ skill, level }], for the memory bank
+ */
+async function applyProfileDiff(profile, diff, fields) {
+  const skillKey = skillKeyOf(await canonicalSkillLookup());
+  const touchedSkills = [];
+  let levels = (profile.currentSkillLevels || []).map((entry) => ({ skill: entry.skill, level: entry.level }));
+
+  if (fields.includes('skills')) {
+    const removedKeys = diff.skills.removed.map(skillKey);
+    levels = levels.filter((entry) => !removedKeys.includes(skillKey(entry.skill)));
+    for (const entry of diff.skills.added) {
+      levels.push({ skill: entry.skill, level: entry.level });
+      touchedSkills.push(entry);
+    }
+  }
+
+  if (fields.includes('currentSkillLevels')) {
+    for (const change of diff.currentSkillLevels) {
+      const entry = levels.find((candidate) => skillKey(candidate.skill) === skillKey(change.skill));
+      if (entry) {
+        entry.level = change.to;
+        touchedSkills.push({ skill: entry.skill, level: change.to });
+      }
+    }
+  }
+
+  profile.currentSkillLevels = levels;
+
+  if (fields.includes('certifications')) {
+    profile.certifications = [...(profile.certifications || []), ...diff.certifications.added];
+  }
+  if (fields.includes('jobTitle') && diff.jobTitle) {
+    profile.jobTitle = diff.jobTitle.to;
+  }
+  if (fields.includes('company') && diff.company) {
+    profile.company = diff.company.to;
+  }
+
+  return touchedSkills;
+}
+
+module.exports = { DIFF_FIELDS, diffProfileWithResume, changedFields, applyProfileDiff };
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const UserBadge = require('../models/UserBadge');
+const Leaderboard = require('../models/Leaderboard');
+const Progress = require('../models/Progress');
+const Lesson = require('../models/Lesson');
+const { areConnected } = require('./connectionService');
+
+// profilePrivacy values (onboarding step 9) and who each one lets in
+const VISIBILITY = {
+  'Public profile': 'everyone',
+  'Visible to connections only': 'connections',
+  Private: 'nobody',
+};
+
+/**
+ * Who besides the owner may see a profile. Profiles that never chose are private.
+ * @param {Object} profile - UserProfile
+ * @returns {string} 'everyone' | 'connections' | 'nobody'
+ */
+function visibilityOf(profile) {
+  return VISIBILITY[profile.profilePrivacy] || 'nobody';
+}
+
+/**
+ * Whether a viewer may see a learner's public profile
+ * @param {Object} profile - UserProfile
+ * @param {string|null} viewerId - Authenticated viewer, or null for anonymous requests
+ * @returns {Promise<boolean>} Allowed
+ */
+async function canViewProfile(profile, viewerId) {
+  if (viewerId && profile.userId.toString() === viewerId) return true;
+  const visibility = visibilityOf(profile);
+  if (visibility === 'everyone') return true;
+  if (visibility === 'connections') return areConnected(profile.userId, viewerId);
+  return false;
+}
+
+/**
+ * Skills whose every lesson the learner has completed
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} [{ skill, lessonsCompleted }]
+ */
+async function completedSkills(userId) {
+  const completed = await Progress.find({ userId, status: 'completed' }, { lessonId: 1 }).lean();
+  if (!completed.length) return [];
+
+  const completedIds = new Set(completed.map((entry) => entry.lessonId));
+  const skills = await Lesson.distinct('skill', { lessonId: { $in: [...completedIds] } });
+  const lessons = await Lesson.find({ skill: { $in: skills } }, { lessonId: 1, skill: 1 }).lean();
+
+  return skills
+    .map((skill) => {
+      const skillLessons = lessons.filter((lesson) => lesson.skill === skill);
+      const done = skillLessons.filter((lesson) => completedIds.has(lesson.lessonId)).length;
+      return { skill, lessonsCompleted: done, complete: done === skillLessons.length };
+    })
+    .filter((entry) => entry.complete)
+    .map(({ skill, lessonsCompleted }) => ({ skill, lessonsCompleted }))
+    .sort((a, b) => a.skill.localeCompare(b.skill));
+}
+
+async function leaderboardStanding(userId) {
+  const entry = await Leaderboard.findOne({ userId }, { points: 1 }).lean();
+  if (!entry) return null;
+  const ahead = await Leaderboard.countDocuments({ points: { $gt: entry.points } });
+  return { points: entry.points, rank: ahead + 1 };
+}
+
+/**
+ * The curated view of a profile shown to other learners
+ * @param {Object} profile - UserProfile
+ * @returns {Promise<Object>} Public profile
+ */
+async function buildPublicProfile(profile) {
+  const userId = profile.userId;
+  const [badges, skills, leaderboard] = await Promise.all([
+    UserBadge.find({ userId }, { _id: 0, badgeId: 1, name: 1, description: 1, earnedAt: 1 }).sort({ earnedAt: -1 }).lean(),
+    completedSkills(userId),
+    leaderboardStanding(userId),
+  ]);
+
+  return {
+    userId,
+    fullName: profile.fullName || null,
+    jobTitle: profile.jobTitle || null,
+    badges,
+    completedSkills: skills,
+    leaderboard,
+  };
+}
+
+/**
+ * Load a learner's public profile for a viewer
+ * @param {string} userId - Profile owner
+ * @param {string|null} viewerId - Authenticated viewer, or null
+ * @returns {Promise<Object|null>} Public profile, or null when missing or hidden from the viewer
+ */
+async function getPublicProfile(userId, viewerId) {
+  const [user, profile] = await Promise.all([
+    User.findById(userId, { deletedAt: 1 }).lean(),
+    UserProfile.findOne({ userId }).lean(),
+  ]);
+  // Hidden and missing profiles look the same so privacy settings cannot be probed
+  if (!user || user.deletedAt || !profile) return null;
+  if (!(await canViewProfile(profile, viewerId))) return null;
+  return buildPublicProfile(profile);
+}
+
+module.exports = { visibilityOf, canViewProfile, buildPublicProfile, getPublicProfile };
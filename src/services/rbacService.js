@@ -0,0 +1,41 @@
+const ROLES = ['learner', 'author', 'squad-lead', 'admin'];
+
+// Permissions are additive across roles. Lesson and challenge authoring routes should be
+// gated with requireRole('author', 'admin'); squad administration with 'squad-lead'.
+const ROLE_PERMISSIONS = {
+  learner: ['lessons:read', 'challenges:join', 'squads:join'],
+  author: ['lessons:write', 'challenges:write'],
+  'squad-lead': ['squads:manage'],
+  admin: ['users:read', 'users:manage', 'roles:manage', 'squads:read', 'lessons:write', 'challenges:write', 'squads:manage'],
+};
+
+// The personal access token scope that covers each permission. Permissions missing here
+// (user and role administration) are never granted to tokens.
+const PERMISSION_SCOPES = {
+  'lessons:read': 'lesson:read',
+  'lessons:write': 'lesson:write',
+  'challenges:join': 'challenge:write',
+  'challenges:write': 'challenge:write',
+  'squads:join': 'squad:write',
+  'squads:read': 'squad:read',
+  'squads:manage': 'squad:write',
+};
+
+/**
+ * Resolve the flat permission list granted by a set of roles
+ * @param {Array<string>} roles - Role names
+ * @param {Object} [options] - { scopes } of a personal access token, limiting the result
+ * to permissions those scopes cover; omit for session logins
+ * @returns {Array<string>} Unique permissions
+ */
+function permissionsForRoles(roles = [], { scopes = null } = {}) {
+  const permissions = new Set();
+  for (const role of roles) {
+    (ROLE_PERMISSIONS[role] || []).forEach((p) => permissions.add(p));
+  }
+  const granted = [...permissions];
+  if (!scopes) return granted;
+  return granted.filter((permission) => scopes.includes(PERMISSION_SCOPES[permission]));
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, permissionsForRoles };
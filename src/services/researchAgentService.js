@@ -1,7 +1,12 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { parse } = require('node-html-parser');
-const { chat, extractJSON } = require('./llmClient');
+const { chat, extractJSON, modelFor } = require('./llmClient');
+const { findSkillsInText } = require('./skillTaxonomyService');
+
+// Bump when the roadmap prompts change so stored roadmaps record which prompt made them
+const ROADMAP_PROMPT_VERSION = 'research-roadmap-v1';
+const FALLBACK_PROMPT_VERSION = 'research-fallback-v1';
 
 // Web search configuration
 const SEARCH_CONFIG = {
@@ -72,16 +77,18 @@ async function performWebSearch(query, maxResults = 10) {
 }
 
 /**
- * Get curated educational sources for common topics
+ * Get curated educational sources for common topics. The query is matched against the
+ * skill taxonomy, so "JS", "ES6" and "JavaScript" all pick the same sources.
  * @param {string} query - Search query
  * @returns {Array} Array of curated sources
  */
 async function getCuratedSources(query) {
-  const lowerQuery = query.toLowerCase();
+  const matched = await findSkillsInText(query);
+  const slugs = new Set(matched.map((entry) => entry.slug));
   const sources = [];
 
   // Programming and development topics
-  if (lowerQuery.includes('javascript') || lowerQuery.includes('js')) {
+  if (slugs.has('javascript') || slugs.has('typescript') || slugs.has('nodejs')) {
     sources.push(
       {
         title: 'MDN JavaScript Guide',
@@ -100,7 +107,7 @@ async function getCuratedSources(query) {
     );
   }
 
-  if (lowerQuery.includes('python')) {
+  if (slugs.has('python')) {
     sources.push(
       {
         title: 'Python Official Tutorial',
@@ -119,7 +126,7 @@ async function getCuratedSources(query) {
     );
   }
 
-  if (lowerQuery.includes('data science') || lowerQuery.includes('machine learning')) {
+  if (slugs.has('data-science') || matched.some((entry) => entry.parent === 'data-science')) {
     sources.push(
       {
         title: 'Coursera Data Science Specialization',
@@ -138,7 +145,7 @@ async function getCuratedSources(query) {
     );
   }
 
-  if (lowerQuery.includes('react') || lowerQuery.includes('frontend')) {
+  if (slugs.has('react') || slugs.has('nextjs') || slugs.has('web-development')) {
     sources.push(
       {
         title: 'React Official Documentation',
@@ -158,7 +165,7 @@ async function getCuratedSources(query) {
   }
 
   // Business and soft skills
-  if (lowerQuery.includes('leadership') || lowerQuery.includes('management')) {
+  if (slugs.has('leadership') || slugs.has('management') || slugs.has('project-management')) {
     sources.push(
       {
         title: 'Harvard Business Review Leadership',
@@ -346,6 +353,8 @@ async function generateComprehensiveRoadmap(topic, options = {}) {
       roadmap,
       sources: rankedResources.slice(0, 10),
       methodology: 'web-enhanced-llm',
+      model: modelFor(),
+      promptVersion: ROADMAP_PROMPT_VERSION,
       totalSteps: roadmap.steps?.length || 0
     };
     
@@ -363,6 +372,8 @@ async function generateComprehensiveRoadmap(topic, options = {}) {
       roadmap: fallbackRoadmap,
       sources: [],
       methodology: 'llm-fallback',
+      model: modelFor(),
+      promptVersion: FALLBACK_PROMPT_VERSION,
       totalSteps: fallbackRoadmap.steps?.length || 0,
       warning: 'Generated without web sources due to connectivity issues'
     };
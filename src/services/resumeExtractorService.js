@@ -1,53 +1,20 @@
 const fs = require('fs').promises;
-const path = require('path');
 const { chat, extractJSON } = require('./llmClient');
+const { extractText } = require('./documentTextService');
 
 /**
  * Extract text content from a resume file
  * @param {string} filePath Path to the resume file
- * @param {string} fileType Type of file (pdf, doc, docx)
+ * @param {string} fileType Type detected on upload (pdf, doc, docx, odt, rtf, md, txt)
  * @returns {Promise<string>} Extracted text content
  */
 async function extractTextFromResume(filePath, fileType) {
   try {
-    // For a production implementation, you would use proper libraries:
-    // - pdf-parse for PDF files
-    // - mammoth or docx for DOC/DOCX files
-    
-    // Read the file as a buffer
-    const fileBuffer = await fs.readFile(filePath);
-    
-    // Use proper extraction libraries when available
-    if (fileType === 'pdf') {
-      try {
-        // Try to use pdf-parse if available
-        const pdfParse = require('pdf-parse');
-        const result = await pdfParse(fileBuffer);
-        return result.text;
-      } catch (err) {
-        console.warn('pdf-parse not available, using placeholder text:', err.message);
-        // Fallback to placeholder if library not available
-        return `Sample extracted text from PDF file: ${path.basename(filePath)}`;
-      }
-    } else if (fileType === 'doc' || fileType === 'docx') {
-      try {
-        // Try to use mammoth if available for docx
-        if (fileType === 'docx') {
-          const mammoth = require('mammoth');
-          const result = await mammoth.extractRawText({buffer: fileBuffer});
-          return result.value;
-        } else {
-          // No good library for .doc files in Node.js
-          return `Sample extracted text from ${fileType.toUpperCase()} file: ${path.basename(filePath)}`;
-        }
-      } catch (err) {
-        console.warn('Document extraction library not available, using placeholder text:', err.message);
-        // Fallback to placeholder if library not available
-        return `Sample extracted text from ${fileType.toUpperCase()} file: ${path.basename(filePath)}`;
-      }
-    } else {
-      throw new Error('Unsupported file type');
+    const text = await extractText(await fs.readFile(filePath), fileType);
+    if (!text.trim()) {
+      throw new Error('No text found in the document');
     }
+    return text;
   } catch (error) {
     console.error('Error extracting text from resume:', error);
     throw new Error(`Failed to extract text from resume: ${error.message}`);
@@ -131,46 +98,55 @@ If you cannot determine a value with confidence, use null or an empty array as a
 }
 
 /**
- * Process a resume file and extract structured information using Ollama LLM
- * @param {string} filePath Path to the resume file
- * @param {string} fileType Type of file (pdf, doc, docx)
+ * Ask the LLM to turn resume text into structured onboarding fields
+ * @param {string} resumeText Text extracted from the resume
  * @returns {Promise<Object>} Structured information extracted from the resume
  */
-async function processResume(filePath, fileType) {
+async function analyzeResumeText(resumeText) {
+  // Generate structured prompt for LLM
+  const messages = generateStructuredPrompt(resumeText);
+  
   try {
-    // Extract text from resume
-    const resumeText = await extractTextFromResume(filePath, fileType);
+    // Send to Ollama LLM for processing
+    const llmResponse = await chat(messages);
     
-    // Generate structured prompt for LLM
-    const messages = generateStructuredPrompt(resumeText);
+    // Extract and parse JSON from LLM response
+    const extractedData = extractJSON(llmResponse);
     
-    try {
-      // Send to Ollama LLM for processing
-      const llmResponse = await chat(messages);
-      
-      // Extract and parse JSON from LLM response
-      const extractedData = extractJSON(llmResponse);
-      
-      if (!extractedData) {
-        console.error('Failed to extract JSON from LLM response');
-        console.log('LLM response:', llmResponse);
-        throw new Error('Failed to parse resume data from LLM response');
-      }
-      
-      return extractedData;
-    } catch (llmError) {
-      // Check if this is an Ollama connection error
-      if (llmError.message.includes('Ollama service is not running')) {
-        throw new Error('Resume analysis requires Ollama service which is currently unavailable. Please try the manual input method instead.');
-      }
-      throw llmError;
+    if (!extractedData) {
+      console.error('Failed to extract JSON from LLM response');
+      console.log('LLM response:', llmResponse);
+      throw new Error('Failed to parse resume data from LLM response');
     }
-  } catch (error) {
-    console.error('Error processing resume:', error);
-    throw new Error(`Failed to process resume: ${error.message}`);
+    
+    return extractedData;
+  } catch (llmError) {
+    // Check if this is an Ollama connection error
+    if (llmError.message.includes('Ollama service is not running')) {
+      throw new Error('Resume analysis requires Ollama service which is currently unavailable. Please try the manual input method instead.');
+    }
+    throw llmError;
   }
 }
 
+/**
+ * Map extracted resume data onto the shape the onboarding client expects
+ * @param {Object} extractedData Result of analyzeResumeText, or the merged rule-based extraction
+ * @returns {Object} Onboarding data
+ */
+function toOnboardingData(extractedData) {
+  return {
+    personalInfo: extractedData.personalInfo || {},
+    background: extractedData.background || {},
+    skillsAssessment: extractedData.skillsAssessment || {},
+    userType: extractedData.userType || 'fresher',
+    skills: extractedData.skillsAssessment?.currentSkillLevels || [],
+    primarySkill: extractedData.skillsAssessment?.primarySkillCategory || '',
+    confidence: extractedData.confidence || null,
+    extractionMethod: extractedData.extractionMethod || 'llm'
+  };
+}
+
 /**
  * Generate draft onboarding data for manual start option
  * @returns {Promise<Object>} Draft onboarding data
@@ -202,6 +178,8 @@ async function generateDraftOnboardingData() {
 }
 
 module.exports = {
-  processResume,
+  extractTextFromResume,
+  analyzeResumeText,
+  toOnboardingData,
   generateDraftOnboardingData
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const ResumeJob = require('../models/ResumeJob');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { extractTextFromResume, analyzeResumeText, toOnboardingData } = require('./resumeExtractorService');
+const { extractResumeFields, mergeWithBaseline } = require('./resumeRuleExtractor');
+
+const MAX_ATTEMPTS = Number(process.env.RESUME_ANALYSIS_MAX_ATTEMPTS || 3);
+// Finished jobs (and their results) are kept this long for the client to collect
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+// Long enough to survive queue retries with backoff
+const PENDING_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+async function removeUpload(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Error deleting file:', err);
+  }
+}
+
+async function finish(resumeJob, update) {
+  await removeUpload(resumeJob.filePath);
+  resumeJob.set({
+    ...update,
+    filePath: undefined,
+    resumeText: undefined,
+    completedAt: new Date(),
+    expiresAt: new Date(Date.now() + RESULT_TTL_MS),
+  });
+  await resumeJob.save();
+}
+
+/**
+ * Queue an uploaded resume for analysis
+ * @param {string} userId - The user ID
+ * @param {Object} file - { path, originalName, fileType }
+ * @param {Object} [options] - { purpose: 'onboarding' | 'profile-update' }
+ * @returns {Promise<Object>} ResumeJob document
+ */
+async function createResumeJob(userId, { path: filePath, originalName, fileType }, { purpose = 'onboarding' } = {}) {
+  const resumeJob = await ResumeJob.create({
+    userId,
+    purpose,
+    filePath,
+    originalName,
+    fileType,
+    expiresAt: new Date(Date.now() + PENDING_TTL_MS),
+  });
+  await enqueue('resume.analyze', { resumeJobId: resumeJob._id.toString() }, { maxAttempts: MAX_ATTEMPTS });
+  return resumeJob;
+}
+
+async function runResumeJob({ resumeJobId }, job) {
+  const resumeJob = await ResumeJob.findById(resumeJobId).select('+resumeText');
+  if (!resumeJob || ['done', 'failed'].includes(resumeJob.status)) return;
+
+  resumeJob.attempts = job.attempts;
+
+  if (!resumeJob.resumeText) {
+    resumeJob.status = 'extracting';
+    await resumeJob.save();
+    try {
+      resumeJob.resumeText = await extractTextFromResume(resumeJob.filePath, resumeJob.fileType);
+    } catch (err) {
+      // Unreadable files will not get better on retry
+      await finish(resumeJob, { status: 'failed', error: 'Could not read the uploaded file' });
+      return;
+    }
+  }
+
+  resumeJob.status = 'analysing';
+  await resumeJob.save();
+
+  const baseline = extractResumeFields(resumeJob.resumeText);
+  try {
+    const llmResult = await analyzeResumeText(resumeJob.resumeText);
+    const merged = { ...mergeWithBaseline(llmResult, baseline), extractionMethod: 'llm+rules' };
+    await finish(resumeJob, { status: 'done', result: toOnboardingData(merged), error: undefined });
+  } catch (err) {
+    if (job.attempts >= job.maxAttempts) {
+      // Out of retries: settle for what the rules found rather than failing outright
+      const fallback = { ...baseline, extractionMethod: 'rules' };
+      await finish(resumeJob, { status: 'done', result: toOnboardingData(fallback), error: undefined });
+      return;
+    }
+    // Back in line; the job queue retries with backoff
+    resumeJob.status = 'queued';
+    await resumeJob.save();
+    throw err;
+  }
+}
+
+registerHandler('resume.analyze', runResumeJob);
+
+/**
+ * Shape a resume job for API responses
+ * @param {Object} resumeJob - ResumeJob document
+ * @returns {Object} Serialized job
+ */
+function serializeResumeJob(resumeJob) {
+  return {
+    id: resumeJob._id,
+    status: resumeJob.status,
+    purpose: resumeJob.purpose,
+    originalName: resumeJob.originalName,
+    attempts: resumeJob.attempts,
+    result: resumeJob.status === 'done' ? resumeJob.result : null,
+    error: resumeJob.error || null,
+    createdAt: resumeJob.createdAt,
+    completedAt: resumeJob.completedAt || null,
+  };
+}
+
+/**
+ * Delete a user's resume jobs along with any uploads still waiting to be processed
+ * @param {string} userId - The user ID
+ */
+async function deleteResumeJobs(userId) {
+  const resumeJobs = await ResumeJob.find({ userId }, { filePath: 1 }).lean();
+  for (const resumeJob of resumeJobs) {
+    await removeUpload(resumeJob.filePath);
+  }
+  await ResumeJob.deleteMany({ userId });
+}
+
+module.exports = { createResumeJob, serializeResumeJob, deleteResumeJobs };
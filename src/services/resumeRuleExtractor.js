@@ -0,0 +1,413 @@
+const { matchSkills, canonicalSkillName } = require('./skillDictionary');
+
+// Deterministic extraction of onboarding fields from resume text. It needs no LLM, so the
+// resume analysis job falls back to it when the model is unavailable, and it gives the
+// LLM output a baseline to be merged with. Output follows the JSON shape requested in
+// generateStructuredPrompt, plus a confidence (0-1) for every field.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const SECTION_HEADINGS = /^(contact|profile|summary|objective|skills|technical skills|experience|work experience|employment|education|projects?|certifications?|languages|interests|hobbies|references|achievements|awards)\b/i;
+
+const TITLE_KEYWORDS = /\b(engineer|developer|programmer|architect|designer|analyst|scientist|consultant|manager|lead|director|administrator|specialist|intern|officer|head|founder|teacher|student)\b/i;
+
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|corp|corporation|gmbh|plc|pvt|technologies|technology|solutions|systems|software|labs|enterprises|networks|group|consulting|services)\b\.?/i;
+
+const EDUCATION_LEVELS = [
+  { level: 'PhD', pattern: /\b(ph\.?\s?d|doctorate|doctor of philosophy)\b/i },
+  { level: 'Master\'s', pattern: /\b(master'?s?|m\.?\s?s\.?c?|m\.?\s?tech|m\.?\s?e\.|mba|m\.?\s?a\.|mca)\b/i },
+  { level: 'Bachelor\'s', pattern: /\b(bachelor'?s?|b\.?\s?s\.?c?|b\.?\s?tech|b\.?\s?e\.|b\.?\s?a\.|bca|undergraduate)\b/i },
+  { level: 'High School', pattern: /\b(high school|secondary school|higher secondary|intermediate education|12th|ssc|hsc)\b/i },
+];
+
+const CERTIFICATION_PATTERN = /\b(certified|certification|certificate|pmp|cissp|ccna|ccnp|comptia|ocjp|itil|prince2|csm|cka|ckad)\b/i;
+
+const INDUSTRY_BY_CATEGORY = {
+  'Programming Languages': 'Information Technology',
+  'Web Development': 'Information Technology',
+  'Mobile Development': 'Information Technology',
+  Databases: 'Information Technology',
+  DevOps: 'Information Technology',
+  'Cloud Computing': 'Information Technology',
+  'Software Engineering': 'Information Technology',
+  'Data Science': 'Information Technology',
+  Security: 'Information Technology',
+  Design: 'Design',
+  Management: 'Management',
+};
+
+function lines(text) {
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+// "S O F T W A R E   E N G I N E E R" -> "SOFTWARE ENGINEER"
+function collapseLetterSpacing(line) {
+  if (!/^(\S ){3,}\S/.test(line)) return line;
+  return line.split(/\s{2,}/).map((word) => word.replace(/ /g, '')).join(' ');
+}
+
+function titleCase(value) {
+  return value.toLowerCase().replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+function field(value, confidence) {
+  return { value, confidence: value === null || value === undefined || (Array.isArray(value) && !value.length) ? 0 : confidence };
+}
+
+function findEmail(text) {
+  const match = text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+  return field(match ? match[0].toLowerCase() : null, 0.95);
+}
+
+function findPhone(text) {
+  const candidates = text.match(/(\+\d{1,3}[\s.-]?)?(\(?\d{2,5}\)?[\s.-]?){2,4}\d{2,5}/g) || [];
+  const phone = candidates
+    .map((candidate) => candidate.trim())
+    // Skip date ranges and years, which also look like runs of digits
+    .find((candidate) => {
+      const digits = candidate.replace(/\D/g, '');
+      return digits.length >= 8 && digits.length <= 15 && !/^(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}$/.test(candidate);
+    });
+  return field(phone || null, 0.85);
+}
+
+function looksLikeName(line) {
+  if (line.length > 50 || /[@\d/|:]/.test(line) || SECTION_HEADINGS.test(line) || TITLE_KEYWORDS.test(line) || COMPANY_SUFFIXES.test(line)) return false;
+  // Skill lists put lines like "Java Script" near the top of two-column layouts
+  if (matchSkills(line).length > 0) return false;
+  const words = line.split(/\s+/);
+  return words.length >= 2 && words.length <= 4 && words.every((word) => /^[A-Z][A-Za-z'.-]*$/.test(word));
+}
+
+function findName(textLines) {
+  // Names are usually one of the first lines; prefer the earliest plausible one
+  const index = textLines.slice(0, 40).findIndex(looksLikeName);
+  if (index === -1) return field(null, 0);
+  const name = textLines[index];
+  return field(name === name.toUpperCase() ? titleCase(name) : name, index < 5 ? 0.7 : 0.5);
+}
+
+function findJobTitle(textLines) {
+  const line = textLines
+    .slice(0, 40)
+    .map(collapseLetterSpacing)
+    .find((candidate) => candidate.length <= 60 && TITLE_KEYWORDS.test(candidate) && !/[.,;]$/.test(candidate) && candidate.split(/\s+/).length <= 6);
+  if (!line) return field(null, 0);
+  return field(line === line.toUpperCase() ? titleCase(line) : line, 0.5);
+}
+
+function findCompany(textLines) {
+  const line = textLines.find((candidate) => candidate.length <= 60
+    && COMPANY_SUFFIXES.test(candidate)
+    && !/[.;]$/.test(candidate)
+    && candidate.split(/\s+/).length <= 7);
+  return field(line ? line.replace(/\s*[-–|,]\s*$/, '') : null, 0.4);
+}
+
+function parseDate(token, { end = false } = {}) {
+  const value = token.trim().toLowerCase();
+  if (/^(present|current|now|till date|to date|ongoing)$/.test(value)) return new Date();
+
+  let match = value.match(/^([a-z]{3})[a-z]*\.?\s*'?(\d{2,4})$/);
+  if (match && MONTHS.includes(match[1])) {
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    return new Date(year, MONTHS.indexOf(match[1]) + (end ? 1 : 0), 1);
+  }
+  match = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (match) return new Date(Number(match[2]), Number(match[1]) - 1 + (end ? 1 : 0), 1);
+  match = value.match(/^(\d{4})$/);
+  if (match) return new Date(Number(match[1]) + (end ? 1 : 0), 0, 1);
+  return null;
+}
+
+const DATE_TOKEN = "(?:[A-Za-z]{3,9}\\.?\\s*'?\\d{2,4}|\\d{1,2}[/.-]\\d{4}|\\d{4})";
+const RANGE_PATTERN = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until)\\s*(${DATE_TOKEN}|present|current|now|till date|to date|ongoing)`, 'gi');
+
+/**
+ * Date ranges mentioned in the text, as [start, end] pairs
+ * @param {string} text - Resume text
+ * @returns {Array<Array<Date>>} Ranges
+ */
+function findDateRanges(text) {
+  const ranges = [];
+  for (const match of text.matchAll(RANGE_PATTERN)) {
+    const start = parseDate(match[1]);
+    const end = parseDate(match[2], { end: true });
+    if (start && end && end > start && start.getFullYear() > 1960) ranges.push([start, end]);
+  }
+  return ranges;
+}
+
+function yearsBucket(years) {
+  if (years < 3) return '0-2';
+  if (years < 6) return '3-5';
+  if (years < 11) return '6-10';
+  return '10+';
+}
+
+/**
+ * Whole years covered by a set of periods, counting overlapping ones once
+ * @param {Array<Array<Date>>} ranges - [start, end] pairs
+ * @returns {number} Years, rounded
+ */
+function yearsCovered(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  if (!sorted.length) return 0;
+
+  let months = 0;
+  let [currentStart, currentEnd] = sorted[0];
+  for (const [start, end] of sorted.slice(1)) {
+    if (start <= currentEnd) {
+      if (end > currentEnd) currentEnd = end;
+    } else {
+      months += (currentEnd - currentStart) / (30.44 * 24 * 60 * 60 * 1000);
+      [currentStart, currentEnd] = [start, end];
+    }
+  }
+  months += (currentEnd - currentStart) / (30.44 * 24 * 60 * 60 * 1000);
+  return Math.round(months / 12);
+}
+
+function findYearsExperience(text, educationRanges = []) {
+  const stated = text.match(/(\d{1,2})\+?\s*(?:years?|yrs?)\s+(?:of\s+)?(?:professional\s+|industry\s+|work\s+)?experience/i);
+  if (stated) {
+    return { ...field(yearsBucket(Number(stated[1])), 0.85), years: Number(stated[1]) };
+  }
+
+  const ranges = findDateRanges(text)
+    .filter(([start]) => !educationRanges.some(([eduStart]) => eduStart.getTime() === start.getTime()));
+  if (!ranges.length) return { ...field(null, 0), years: null };
+
+  const years = yearsCovered(ranges);
+  return { ...field(yearsBucket(years), 0.6), years };
+}
+
+function sectionLines(textLines, heading) {
+  const start = textLines.findIndex((line) => heading.test(line) && line.length < 40);
+  if (start === -1) return [];
+  const rest = textLines.slice(start + 1);
+  const end = rest.findIndex((line) => SECTION_HEADINGS.test(line) && line.length < 40);
+  return end === -1 ? rest : rest.slice(0, end);
+}
+
+/**
+ * Highest education level named in a piece of text
+ * @param {string} text - e.g. a degree name
+ * @returns {string|null} One of the profile's educationLevel values
+ */
+function educationLevelOf(text = '') {
+  const found = EDUCATION_LEVELS.find(({ pattern }) => pattern.test(text));
+  return found ? found.level : null;
+}
+
+function findEducation(text, textLines) {
+  const educationText = sectionLines(textLines, /^education/i).join('\n') || text;
+  return {
+    ...field(educationLevelOf(educationText), educationText === text ? 0.5 : 0.75),
+    ranges: findDateRanges(sectionLines(textLines, /^education/i).join('\n')),
+  };
+}
+
+function findCertifications(textLines) {
+  const section = sectionLines(textLines, /^certifications?/i);
+  const candidates = section.length ? section : textLines.filter((line) => CERTIFICATION_PATTERN.test(line));
+  const certifications = [...new Set(candidates
+    .map((line) => line.replace(/^[-•*▪●]\s*/, ''))
+    .filter((line) => line.length <= 120 && !/\b(i|we)\b/i.test(line)))];
+  return field(certifications, section.length ? 0.75 : 0.5);
+}
+
+function findTeamRole(text, jobTitle, years) {
+  const title = jobTitle || '';
+  if (/\b(ceo|cto|cfo|coo|chief|founder|co-founder|vice president|vp)\b/i.test(title)) return field('Executive', 0.7);
+  if (/\b(director|head of|senior manager)\b/i.test(title)) return field('Senior manager', 0.65);
+  if (/\bmanager\b/i.test(title)) return field('Manager', 0.6);
+  if (/\b(lead|principal)\b/i.test(title) || /\b(led|leading|managed) (a |the )?team\b/i.test(text)) return field('Team lead', 0.5);
+  if (/\b(student|intern)\b/i.test(title) || (years === 0 && /\bstudent\b/i.test(text))) return field('Student', 0.6);
+  return field('Individual contributor', 0.4);
+}
+
+function skillLevelFor(mentions, years) {
+  if (years >= 6 && mentions >= 3) return 'Expert';
+  if (years >= 3 && mentions >= 2) return 'Advanced';
+  if (years >= 1 || mentions >= 2) return 'Intermediate';
+  return 'Beginner';
+}
+
+/**
+ * Extract onboarding fields from resume text without an LLM
+ * @param {string} resumeText - Text from extractTextFromResume
+ * @returns {Object} Same shape as the LLM result, plus a parallel `confidence` tree
+ */
+function extractResumeFields(resumeText = '') {
+  const text = String(resumeText);
+  const textLines = lines(text);
+
+  const email = findEmail(text);
+  const phone = findPhone(text);
+  const fullName = findName(textLines);
+  const jobTitle = findJobTitle(textLines);
+  const company = findCompany(textLines);
+  const education = findEducation(text, textLines);
+  const experience = findYearsExperience(text, education.ranges);
+  const certifications = findCertifications(textLines);
+  const teamRole = findTeamRole(text, jobTitle.value, experience.years);
+
+  const matches = matchSkills(text);
+  const years = experience.years || 0;
+  const categoryCounts = matches.reduce((counts, skill) => {
+    counts[skill.category] = (counts[skill.category] || 0) + skill.mentions;
+    return counts;
+  }, {});
+  const primaryCategory = Object.keys(categoryCounts).sort((a, b) => categoryCounts[b] - categoryCounts[a])[0] || null;
+
+  const skills = field(matches.map((skill) => skill.name), 0.8);
+  const prioritySkills = field(matches.slice(0, 3).map((skill) => skill.name), 0.5);
+  const currentSkillLevels = field(
+    matches.map((skill) => ({ skill: skill.name, level: skillLevelFor(skill.mentions, years) })),
+    0.35
+  );
+  const primarySkillCategory = field(primaryCategory, 0.55);
+  const industry = field(primaryCategory ? INDUSTRY_BY_CATEGORY[primaryCategory] || null : null, 0.3);
+
+  let userType = field('fresher', 0.4);
+  if (years >= 2) userType = field('experienced', 0.6);
+  else if (!experience.value && !matches.length) userType = field('hobbyist', 0.2);
+
+  return {
+    personalInfo: {
+      fullName: fullName.value,
+      email: email.value,
+      phoneNumber: phone.value,
+      jobTitle: jobTitle.value,
+      company: company.value,
+      industry: industry.value,
+      yearsExperience: experience.value,
+    },
+    background: {
+      educationLevel: education.value,
+      certifications: certifications.value,
+      teamRole: teamRole.value,
+    },
+    skillsAssessment: {
+      primarySkillCategory: primarySkillCategory.value,
+      skills: skills.value,
+      prioritySkills: prioritySkills.value,
+      currentSkillLevels: currentSkillLevels.value,
+    },
+    userType: userType.value,
+    confidence: {
+      personalInfo: {
+        fullName: fullName.confidence,
+        email: email.confidence,
+        phoneNumber: phone.confidence,
+        jobTitle: jobTitle.confidence,
+        company: company.confidence,
+        industry: industry.confidence,
+        yearsExperience: experience.confidence,
+      },
+      background: {
+        educationLevel: education.confidence,
+        certifications: certifications.confidence,
+        teamRole: teamRole.confidence,
+      },
+      skillsAssessment: {
+        primarySkillCategory: primarySkillCategory.confidence,
+        skills: skills.confidence,
+        prioritySkills: prioritySkills.confidence,
+        currentSkillLevels: currentSkillLevels.confidence,
+      },
+      userType: userType.confidence,
+    },
+  };
+}
+
+// Confidence given to an LLM value the rules could not corroborate
+const LLM_CONFIDENCE = 0.7;
+// Most entries a merged list may keep; onboarding accepts at most three priority skills
+const FIELD_LIMITS = { prioritySkills: 3 };
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function sameValue(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// List entries are compared by canonical skill name, so "ReactJS" and "React" are one entry
+function itemKey(item) {
+  const name = String(item?.skill ?? item).trim();
+  return (canonicalSkillName(name) || name).toLowerCase();
+}
+
+function uniqueItems(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = itemKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function mergeValue(llmValue, baseValue, baseConfidence, { limit } = {}) {
+  const fit = (value) => (Array.isArray(value) ? uniqueItems(value).slice(0, limit) : value);
+  if (isEmpty(llmValue)) return { value: isEmpty(baseValue) ? null : fit(baseValue), confidence: baseConfidence };
+  if (isEmpty(baseValue)) return { value: fit(llmValue), confidence: LLM_CONFIDENCE };
+
+  if (Array.isArray(llmValue) && Array.isArray(baseValue)) {
+    const merged = uniqueItems([...llmValue, ...baseValue]);
+    const baseKeys = new Set(baseValue.map(itemKey));
+    const agreed = uniqueItems(llmValue).filter((item) => baseKeys.has(itemKey(item))).length;
+    return {
+      value: merged.slice(0, limit),
+      confidence: Math.round(Math.min(0.95, LLM_CONFIDENCE + (agreed / merged.length) * 0.25) * 100) / 100,
+    };
+  }
+
+  if (sameValue(llmValue, baseValue)) {
+    return { value: llmValue, confidence: Math.max(0.9, baseConfidence) };
+  }
+  // Pattern matches (email, phone) beat the model; elsewhere the model has more context
+  return baseConfidence >= 0.85
+    ? { value: baseValue, confidence: baseConfidence }
+    : { value: llmValue, confidence: LLM_CONFIDENCE };
+}
+
+/**
+ * Merge an LLM extraction with the rule-based baseline, field by field
+ * @param {Object} llmResult - Parsed LLM JSON (may be partial)
+ * @param {Object} baseline - Result of extractResumeFields
+ * @returns {Object} Merged result with confidence tree
+ */
+function mergeWithBaseline(llmResult = {}, baseline) {
+  const merged = { confidence: {} };
+  for (const section of ['personalInfo', 'background', 'skillsAssessment']) {
+    merged[section] = {};
+    merged.confidence[section] = {};
+    for (const key of Object.keys(baseline[section])) {
+      const { value, confidence } = mergeValue(
+        llmResult?.[section]?.[key],
+        baseline[section][key],
+        baseline.confidence[section][key],
+        { limit: FIELD_LIMITS[key] }
+      );
+      merged[section][key] = value;
+      merged.confidence[section][key] = confidence;
+    }
+  }
+  const userType = mergeValue(llmResult?.userType, baseline.userType, baseline.confidence.userType);
+  merged.userType = userType.value;
+  merged.confidence.userType = userType.confidence;
+  return merged;
+}
+
+module.exports = {
+  extractResumeFields,
+  mergeWithBaseline,
+  findDateRanges,
+  yearsCovered,
+  yearsBucket,
+  educationLevelOf,
+};
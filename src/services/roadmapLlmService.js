@@ -1,96 +1,169 @@
 const UserProfile = require('../models/UserProfile');
 const SkillMemoryBank = require('../models/SkillMemoryBank');
 const Roadmap = require('../models/Roadmap');
-const { chat, extractJSON } = require('./llmClient');
+const { chat, extractJSON, modelFor } = require('./llmClient');
 const { generateComprehensiveRoadmap } = require('./researchAgentService');
+const { canonicalSkill } = require('./skillTaxonomyService');
+const { saveGeneratedRoadmap } = require('./roadmapService');
 
-function buildPrompt(profile, bank) {
+const PROMPT_VERSION = 'basic-roadmap-v1';
+
+function buildPrompt(profile, bank, skill) {
   const weak = (bank?.concepts || [])
     .filter((c) => c.strengthLevel < 50)
     .map((c) => `${c.topic} (${c.strengthLevel})`)
     .slice(0, 5);
   return `You are an expert learning planner. Create a 7-day microlearning roadmap as JSON.
-Profile: skill=${profile?.skill}, level=${profile?.level}, dailyTime=${profile?.dailyTime} minutes, goal=${profile?.goal}.
+Profile: skill=${skill}, level=${profile?.level}, dailyTime=${profile?.dailyTime} minutes, goal=${profile?.goal}.
 Weak topics: ${weak.join(', ') || 'None'}.
 Return strictly JSON with shape: { "steps": [ { "day": number, "topic": string, "lessonIds": string[], "concepts": string[] } ] }.
 Topics should be concise and practical. Concepts array lists 1-2 key ideas.
 `;
 }
 
-async function generateRoadmapWithLLM(userId, useResearchAgent = false) {
+function toStrings(value) {
+  return Array.isArray(value) ? value.filter((item) => item != null && item !== '').map(String) : [];
+}
+
+function toNumber(value) {
+  if (value == null || value === '' || !Number.isFinite(Number(value))) return undefined;
+  return Number(value);
+}
+
+// LLMs list resources as plain names or as objects; untitled entries are dropped
+function normalizeResources(resources) {
+  if (!Array.isArray(resources)) return [];
+  return resources
+    .map((resource) => (typeof resource === 'string'
+      ? { title: resource }
+      : {
+        title: String(resource?.title ?? resource?.name ?? ''),
+        url: resource?.url ? String(resource.url) : undefined,
+        type: resource?.type ? String(resource.type) : undefined,
+        description: resource?.description ? String(resource.description) : undefined,
+      }))
+    .filter((resource) => resource.title.trim());
+}
+
+/**
+ * Shape a generated step for the roadmap step schema
+ * @param {Object} step - Step as returned by the LLM
+ * @param {number} day - Day to store; research steps are numbered in order across weeks
+ * @returns {Object} Step
+ */
+function normalizeStep(step, day) {
+  return {
+    day,
+    week: toNumber(step.week),
+    topic: String(step.title ?? step.topic ?? `Day ${day}`),
+    description: step.description ? String(step.description) : undefined,
+    type: Roadmap.STEP_TYPES.includes(step.type) ? step.type : 'theory',
+    duration: step.duration ? String(step.duration) : undefined,
+    difficulty: step.difficulty ? String(step.difficulty) : undefined,
+    optional: Boolean(step.optional),
+    concepts: toStrings(step.concepts),
+    resources: normalizeResources(step.resources),
+    lessonIds: toStrings(step.lessonIds),
+  };
+}
+
+/**
+ * Everything the research agent produced, in roadmap model shape
+ * @param {Object} comprehensive - Result of generateComprehensiveRoadmap
+ * @returns {Object} Roadmap fields including provenance
+ */
+function fromComprehensiveRoadmap(comprehensive) {
+  const roadmap = comprehensive.roadmap || {};
+  return {
+    overview: roadmap.overview ? String(roadmap.overview) : null,
+    prerequisites: toStrings(roadmap.prerequisites),
+    steps: (Array.isArray(roadmap.steps) ? roadmap.steps : []).map((step, i) => normalizeStep(step, i + 1)),
+    projects: (Array.isArray(roadmap.projects) ? roadmap.projects : [])
+      .filter((project) => project?.title)
+      .map((project) => ({
+        title: String(project.title),
+        description: project.description ? String(project.description) : undefined,
+        week: toNumber(project.week),
+        estimatedHours: toNumber(project.estimatedHours),
+        skills: toStrings(project.skills),
+      })),
+    milestones: (Array.isArray(roadmap.milestones) ? roadmap.milestones : [])
+      .filter((milestone) => milestone?.title)
+      .map((milestone) => ({
+        title: String(milestone.title),
+        description: milestone.description ? String(milestone.description) : undefined,
+        week: toNumber(milestone.week),
+      })),
+    additionalResources: normalizeResources(roadmap.additionalResources),
+    provenance: {
+      generator: 'research-agent',
+      model: comprehensive.model || null,
+      promptVersion: comprehensive.promptVersion || null,
+      methodology: comprehensive.methodology || null,
+      sources: (comprehensive.sources || []).map((source) => ({
+        title: source.title,
+        url: source.url,
+        source: source.source,
+        snippet: source.snippet,
+        qualityScore: source.qualityScore,
+      })),
+      generatedAt: comprehensive.generatedAt ? new Date(comprehensive.generatedAt) : new Date(),
+    },
+  };
+}
+
+/**
+ * Generate a roadmap with the LLM for one skill
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { skill, name, useResearchAgent, changedBy }; skill defaults to the profile's skill
+ * @returns {Promise<Object>} Roadmap document
+ */
+async function generateRoadmapWithLLM(userId, { skill, name, useResearchAgent = false, changedBy } = {}) {
   const profile = await UserProfile.findOne({ userId }).lean();
   const bank = await SkillMemoryBank.findOne({ userId }).lean();
+  const target = { skill: await canonicalSkill(skill || profile?.skill || 'General Skill'), name };
   
-  if (useResearchAgent && profile?.skill) {
+  if (useResearchAgent) {
+    let researched = null;
     try {
       // Use research agent for enhanced roadmap generation
-      const comprehensiveRoadmap = await generateComprehensiveRoadmap(profile.skill, {
-        level: profile.level || 'beginner',
+      const comprehensiveRoadmap = await generateComprehensiveRoadmap(target.skill, {
+        level: profile?.level || 'beginner',
         timeframe: '4-weeks',
-        dailyTimeMinutes: profile.dailyTime || 30,
+        dailyTimeMinutes: profile?.dailyTime || 30,
         focus: 'practical',
         includeProjects: true
       });
-      
-      // Convert comprehensive roadmap to our format
-      const steps = comprehensiveRoadmap.roadmap.steps?.slice(0, 7).map((s, i) => ({
-        day: Number(s.day ?? i + 1),
-        topic: String(s.title ?? s.topic ?? `Day ${i + 1}`),
-        lessonIds: [],
-        concepts: Array.isArray(s.concepts) ? s.concepts.map(String) : [],
-        description: s.description || '',
-        resources: s.resources || [],
-        type: s.type || 'theory',
-        duration: s.duration || '5 minutes'
-      })) || [];
 
-      const roadmap = await Roadmap.findOneAndUpdate(
-        { userId },
-        { 
-          steps,
-          metadata: {
-            generatedWith: 'research-agent',
-            sources: comprehensiveRoadmap.sources?.slice(0, 5) || [],
-            generatedAt: new Date()
-          }
-        },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
-      return roadmap;
-      
+      const fields = fromComprehensiveRoadmap(comprehensiveRoadmap);
+      if (!fields.steps.length) throw new Error('Research agent returned no steps');
+      researched = fields;
     } catch (error) {
       console.error('Research agent roadmap generation failed, falling back to basic LLM:', error.message);
       // Fall back to basic LLM generation
     }
+    // Only generation falls back; failing to store the roadmap is reported as is
+    if (researched) return saveGeneratedRoadmap(userId, target, researched, { changedBy });
   }
   
   // Original LLM-only generation
-  const prompt = buildPrompt(profile, bank);
+  const prompt = buildPrompt(profile, bank, target.skill);
   const reply = await chat([{ role: 'user', content: prompt }]);
   const json = extractJSON(reply);
   if (!json?.steps || !Array.isArray(json.steps)) throw new Error('LLM did not return steps');
   // Normalize
-  const steps = json.steps.slice(0, 7).map((s, i) => ({
-    day: Number(s.day ?? i + 1),
-    topic: String(s.topic ?? `Day ${i + 1}`),
-    lessonIds: Array.isArray(s.lessonIds) ? s.lessonIds.map(String) : [],
-    concepts: Array.isArray(s.concepts) ? s.concepts.map(String) : [],
-  }));
+  const steps = json.steps.slice(0, 7).map((s, i) => normalizeStep(s, toNumber(s.day) ?? i + 1));
 
-  const roadmap = await Roadmap.findOneAndUpdate(
-    { userId },
-    { 
-      steps,
-      metadata: {
-        generatedWith: 'basic-llm',
-        generatedAt: new Date()
-      }
+  const roadmap = await saveGeneratedRoadmap(userId, target, {
+    steps,
+    provenance: {
+      generator: 'basic-llm',
+      model: modelFor(),
+      promptVersion: PROMPT_VERSION,
+      generatedAt: new Date(),
     },
-    { upsert: true, new: true, setDefaultsOnInsert: true }
-  );
+  }, { changedBy });
   return roadmap;
 }
 
 module.exports = { generateRoadmapWithLLM };
-
-
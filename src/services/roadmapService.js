@@ -1,12 +1,52 @@
 const Roadmap = require('../models/Roadmap');
 const UserProfile = require('../models/UserProfile');
+const { canonicalSkill } = require('./skillTaxonomyService');
+const { recordVersion } = require('./roadmapVersionService');
+
+function roadmapError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Generated content; whatever a generator does not produce is cleared on regeneration
+const GENERATED_DEFAULTS = {
+  overview: null,
+  prerequisites: [],
+  steps: [],
+  projects: [],
+  milestones: [],
+  additionalResources: [],
+};
+
+/**
+ * Store a freshly generated roadmap for a skill, replacing the active roadmap for that
+ * skill if there is one. Roadmaps for other skills are left alone. The result is
+ * recorded as a new version.
+ * @param {string} userId - The user ID
+ * @param {Object} target - { skill, name } where skill is already canonical
+ * @param {Object} fields - Generated fields (steps, projects, provenance, ...)
+ * @param {Object} [options] - { changedBy } 'learner' (default) or 'system'
+ * @returns {Promise<Object>} Roadmap document
+ */
+async function saveGeneratedRoadmap(userId, { skill, name }, fields, { changedBy = 'learner' } = {}) {
+  const roadmap = await Roadmap.findOneAndUpdate(
+    { userId, skill, status: 'active' },
+    { ...GENERATED_DEFAULTS, ...fields, name: name || `${skill} roadmap` },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+  await recordVersion(roadmap, { reason: 'generated', source: roadmap.provenance?.generator || 'template', changedBy });
+  return roadmap;
+}
 
 /**
  * Mock roadmap generation using profile. Later, plug in LLM.
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { skill, name, changedBy }; skill defaults to the profile's skill
  */
-async function generateRoadmapForUser(userId) {
+async function generateRoadmapForUser(userId, { skill, name, changedBy } = {}) {
   const profile = await UserProfile.findOne({ userId });
-  const baseSkill = profile?.skill || 'General Skill';
+  const baseSkill = await canonicalSkill(skill || profile?.skill || 'General Skill');
   const baseLevel = profile?.level || 'Beginner';
   const durationDays = 7; // MVP: 1 week
 
@@ -16,19 +56,71 @@ async function generateRoadmapForUser(userId) {
     lessonIds: [`${baseSkill.toLowerCase()}-${i + 1}`],
   }));
 
-  const roadmap = await Roadmap.findOneAndUpdate(
-    { userId },
-    { steps: topics },
-    { upsert: true, new: true, setDefaultsOnInsert: true }
-  );
+  return saveGeneratedRoadmap(userId, { skill: baseSkill, name }, {
+    steps: topics,
+    provenance: { generator: 'template', generatedAt: new Date() },
+  }, { changedBy });
+}
 
-  return roadmap;
+/**
+ * A user's roadmaps, most recently updated first
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { status } to list only active or archived roadmaps
+ * @returns {Promise<Array<Object>>} Roadmaps
+ */
+async function listRoadmaps(userId, { status } = {}) {
+  const filter = { userId };
+  if (status) filter.status = status;
+  return Roadmap.find(filter).sort({ updatedAt: -1 }).lean();
 }
 
-async function getRoadmap(userId) {
-  return Roadmap.findOne({ userId });
+async function getRoadmap(userId, roadmapId) {
+  return Roadmap.findOne({ _id: roadmapId, userId });
 }
 
-module.exports = { generateRoadmapForUser, getRoadmap };
+/**
+ * The roadmap an action applies to: the given roadmap when an id is passed, otherwise
+ * the active roadmap for the skill, otherwise the most recently updated active one
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - { roadmapId, skill, fallback }; fallback: false stops at the
+ * skill's roadmap instead of falling back to the latest active one
+ * @returns {Promise<Object|null>} Roadmap document, or null when none applies
+ */
+async function resolveRoadmap(userId, { roadmapId, skill, fallback = true } = {}) {
+  if (roadmapId) {
+    const roadmap = await Roadmap.findOne({ _id: roadmapId, userId });
+    if (!roadmap) throw roadmapError('Roadmap not found', 404);
+    if (roadmap.status === 'archived') throw roadmapError('Roadmap is archived', 409);
+    return roadmap;
+  }
+  if (skill) {
+    const roadmap = await Roadmap.findOne({ userId, skill: await canonicalSkill(skill), status: 'active' });
+    if (roadmap || !fallback) return roadmap;
+  }
+  return Roadmap.findOne({ userId, status: 'active' }).sort({ updatedAt: -1 });
+}
 
+/**
+ * Archive a roadmap so a new one can be generated for its skill
+ * @param {string} userId - The user ID
+ * @param {string} roadmapId - Roadmap to archive
+ * @returns {Promise<Object|null>} Archived roadmap, or null when not found
+ */
+async function archiveRoadmap(userId, roadmapId) {
+  const roadmap = await Roadmap.findOne({ _id: roadmapId, userId });
+  if (!roadmap) return null;
+  if (roadmap.status === 'archived') return roadmap;
+  roadmap.status = 'archived';
+  roadmap.archivedAt = new Date();
+  await roadmap.save();
+  return roadmap;
+}
 
+module.exports = {
+  saveGeneratedRoadmap,
+  generateRoadmapForUser,
+  listRoadmaps,
+  getRoadmap,
+  resolveRoadmap,
+  archiveRoadmap,
+};
@@ -0,0 +1,176 @@
+const Roadmap = require('../models/Roadmap');
+const RoadmapVersion = require('../models/RoadmapVersion');
+
+// Roadmap content captured in each version. Status and ownership are not versioned.
+const VERSIONED_FIELDS = ['name', 'skill', 'overview', 'prerequisites', 'steps', 'projects', 'milestones', 'additionalResources', 'provenance'];
+// Step fields compared when diffing; steps themselves are matched by topic
+const STEP_DIFF_FIELDS = ['day', 'week', 'description', 'type', 'duration', 'difficulty', 'optional', 'concepts', 'resources', 'lessonIds'];
+
+function versionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function snapshotOf(roadmap) {
+  const plain = typeof roadmap.toObject === 'function' ? roadmap.toObject() : roadmap;
+  return JSON.parse(JSON.stringify(Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, plain[field] ?? null]))));
+}
+
+/**
+ * Record the roadmap's current content as its next version. Call after every change.
+ * @param {Object} roadmap - Roadmap as saved
+ * @param {Object} change - { reason, source, changedBy ('learner' | 'system'), note }
+ * @returns {Promise<Object>} The new version
+ */
+async function recordVersion(roadmap, { reason, source, changedBy = 'learner', note = null }) {
+  const { version } = await Roadmap.findByIdAndUpdate(
+    roadmap._id,
+    { $inc: { version: 1 } },
+    { new: true, projection: { version: 1 } }
+  ).lean();
+  roadmap.version = version;
+
+  return RoadmapVersion.create({
+    roadmapId: roadmap._id,
+    userId: roadmap.userId,
+    version,
+    snapshot: snapshotOf(roadmap),
+    changedBy,
+    source,
+    reason,
+    note,
+  });
+}
+
+/**
+ * A roadmap's versions, newest first, without their snapshots
+ * @param {Object} roadmap - Roadmap
+ * @returns {Promise<Array<Object>>} [{ version, changedBy, source, reason, note, createdAt, stepCount }]
+ */
+async function listVersions(roadmap) {
+  const versions = await RoadmapVersion.find({ roadmapId: roadmap._id }).sort({ version: -1 }).lean();
+  return versions.map(({ snapshot, _id, roadmapId, userId, ...entry }) => ({
+    ...entry,
+    stepCount: (snapshot.steps || []).length,
+  }));
+}
+
+async function getVersion(roadmap, version) {
+  return RoadmapVersion.findOne({ roadmapId: roadmap._id, version }).lean();
+}
+
+// Steps keyed by topic; a topic repeated within a roadmap is told apart by occurrence
+function stepsByTopic(steps = []) {
+  const seen = new Map();
+  const keyed = new Map();
+  for (const step of steps) {
+    const topic = step.topic.trim().toLowerCase();
+    const occurrence = (seen.get(topic) || 0) + 1;
+    seen.set(topic, occurrence);
+    keyed.set(occurrence > 1 ? `${topic}#${occurrence}` : topic, step);
+  }
+  return keyed;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Step-level differences between two snapshots. Steps are matched by topic, so a step
+ * that only moved to another day shows up as changed rather than removed and re-added.
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { fields, steps: { added, removed, changed, unchanged } }
+ */
+function diffSnapshots(from, to) {
+  const before = stepsByTopic(from.steps);
+  const after = stepsByTopic(to.steps);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, step] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(step);
+      continue;
+    }
+    const fields = STEP_DIFF_FIELDS.filter((field) => !same(previous[field], step[field]));
+    if (!fields.length) {
+      unchanged += 1;
+      continue;
+    }
+    changed.push({
+      topic: step.topic,
+      fields,
+      from: Object.fromEntries(fields.map((field) => [field, previous[field] ?? null])),
+      to: Object.fromEntries(fields.map((field) => [field, step[field] ?? null])),
+    });
+  }
+  for (const [key, step] of before) {
+    if (!after.has(key)) removed.push(step);
+  }
+
+  return {
+    fields: VERSIONED_FIELDS.filter((field) => field !== 'steps' && !same(from[field], to[field])),
+    steps: { added, removed, changed, unchanged },
+  };
+}
+
+/**
+ * Compare two versions of a roadmap
+ * @param {Object} roadmap - Roadmap
+ * @param {number} fromVersion - Older version
+ * @param {number} [toVersion] - Newer version, defaults to the latest
+ * @returns {Promise<Object>} { from, to, ...diff }
+ */
+async function diffVersions(roadmap, fromVersion, toVersion = roadmap.version) {
+  const [from, to] = await Promise.all([getVersion(roadmap, fromVersion), getVersion(roadmap, toVersion)]);
+  if (!from || !to) throw versionError('Version not found', 404);
+  return { from: from.version, to: to.version, ...diffSnapshots(from.snapshot, to.snapshot) };
+}
+
+/**
+ * Restore a roadmap's content to an earlier version, recorded as a new version. Lessons
+ * attached since then are kept on any step whose topic still exists, so the learner's
+ * progress on those steps stays linked.
+ * @param {Object} roadmap - Roadmap document
+ * @param {number} version - Version to restore
+ * @param {Object} [options] - { changedBy }
+ * @returns {Promise<Object>} Updated roadmap
+ */
+async function rollbackRoadmap(roadmap, version, { changedBy = 'learner' } = {}) {
+  if (roadmap.status === 'archived') throw versionError('Roadmap is archived', 409);
+  const target = await getVersion(roadmap, version);
+  if (!target) throw versionError('Version not found', 404);
+  if (version === roadmap.version) throw versionError('Roadmap is already at this version', 409);
+
+  const current = stepsByTopic(roadmap.toObject().steps);
+  const steps = [...stepsByTopic(target.snapshot.steps)].map(([key, step]) => {
+    const existing = current.get(key);
+    if (!existing) return step;
+    return { ...step, lessonIds: [...new Set([...(step.lessonIds || []), ...(existing.lessonIds || [])])] };
+  });
+
+  // The skill stays put: it identifies the roadmap among the learner's others
+  for (const field of VERSIONED_FIELDS) {
+    if (field === 'skill') continue;
+    roadmap.set(field, field === 'steps' ? steps : target.snapshot[field]);
+  }
+  await roadmap.save();
+  await recordVersion(roadmap, { reason: 'rollback', source: 'rollback', changedBy, note: `Rolled back to version ${version}` });
+  return roadmap;
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffSnapshots,
+  diffVersions,
+  rollbackRoadmap,
+};
@@ -0,0 +1,109 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// lastActiveAt is only rewritten when it is older than this, to avoid a write per request
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Record a new login
+ * @param {string} userId - The user ID
+ * @param {Object} context - { family, ip, userAgent, expiresAt } where family is the login's refresh-token family
+ * @returns {Promise<Object>} Session document
+ */
+async function createSession(userId, { family, ip, userAgent, expiresAt }) {
+  return Session.create({ userId, family, ip, lastIp: ip, userAgent, expiresAt });
+}
+
+/**
+ * Extend the session of a refresh-token family when one of its tokens is rotated.
+ * Families issued before sessions were tracked get a session on their first rotation.
+ * @param {string} userId - The user ID
+ * @param {string} family - Refresh-token family
+ * @param {Object} context - { ip, expiresAt }
+ * @returns {Promise<Object|null>} The session, or null when it has been revoked
+ */
+async function continueSession(userId, family, { ip, expiresAt }) {
+  const session = await Session.findOne({ userId, family });
+  if (!session) return Session.create({ userId, family, ip, lastIp: ip, expiresAt });
+  if (session.revokedAt) return null;
+
+  session.expiresAt = expiresAt;
+  session.lastActiveAt = new Date();
+  if (ip) session.lastIp = ip;
+  await session.save();
+  return session;
+}
+
+/**
+ * Load a live session and note activity on it
+ * @param {string} sessionId - Session id from the access token
+ * @param {string} userId - Expected owner
+ * @param {Object} context - { ip }
+ * @returns {Promise<Object|null>} The session, or null if it is revoked, expired or foreign
+ */
+async function touchSession(sessionId, userId, { ip } = {}) {
+  const session = await Session.findOne({ _id: sessionId, userId }).lean();
+  const now = Date.now();
+  if (!session || session.revokedAt || session.expiresAt.getTime() <= now) return null;
+
+  if (now - session.lastActiveAt.getTime() > ACTIVITY_RESOLUTION_MS || (ip && session.lastIp !== ip)) {
+    await Session.updateOne({ _id: sessionId }, { lastActiveAt: new Date(now), lastIp: ip || session.lastIp });
+  }
+  return session;
+}
+
+/**
+ * Active sessions for a user, most recently used first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} Sessions
+ */
+async function listSessions(userId) {
+  return Session.find(
+    { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { userAgent: 1, ip: 1, lastIp: 1, lastActiveAt: 1, createdAt: 1 }
+  ).sort({ lastActiveAt: -1 }).lean();
+}
+
+/**
+ * Revoke every refresh token in a family and end the session keyed on it
+ * @param {string} family - Refresh-token family
+ * @param {string} userId - Owner
+ */
+async function revokeFamily(family, userId) {
+  const now = new Date();
+  await RefreshToken.updateMany({ family, userId, revokedAt: null }, { revokedAt: now });
+  await Session.updateOne({ family, userId, revokedAt: null }, { revokedAt: now });
+}
+
+/**
+ * End one session and the refresh tokens issued for it
+ * @param {string} sessionId - Session id
+ * @param {string} userId - Owner; sessions of other users are left alone
+ * @returns {Promise<boolean>} false when no such active session exists
+ */
+async function revokeSession(sessionId, userId) {
+  const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null }, { family: 1 }).lean();
+  if (!session) return false;
+  await revokeFamily(session.family, userId);
+  return true;
+}
+
+/**
+ * End every session a user has
+ * @param {string} userId - The user ID
+ */
+async function revokeAllSessions(userId) {
+  const now = new Date();
+  await Session.updateMany({ userId, revokedAt: null }, { revokedAt: now });
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: now });
+}
+
+module.exports = {
+  createSession,
+  continueSession,
+  touchSession,
+  listSessions,
+  revokeFamily,
+  revokeSession,
+  revokeAllSessions,
+};
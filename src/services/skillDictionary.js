@@ -0,0 +1,155 @@
+// Skills recognised when reading free text (resumes, imports). Each entry has the
+// canonical name stored on profiles, its category, the spellings found in the wild and,
+// optionally, closely related skills. This is also the seed for the skill taxonomy.
+const SKILLS = [
+  // Programming languages
+  { name: 'JavaScript', category: 'Programming Languages', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+  { name: 'TypeScript', category: 'Programming Languages', aliases: ['typescript', 'ts'], related: ['JavaScript'] },
+  { name: 'Python', category: 'Programming Languages', aliases: ['python', 'python3'] },
+  { name: 'Java', category: 'Programming Languages', aliases: ['java'] },
+  { name: 'C', category: 'Programming Languages', aliases: ['c language', 'ansi c'] },
+  { name: 'C++', category: 'Programming Languages', aliases: ['c++', 'cpp'] },
+  { name: 'C#', category: 'Programming Languages', aliases: ['c#', 'csharp', 'c sharp'] },
+  { name: 'Go', category: 'Programming Languages', aliases: ['golang', 'go lang'] },
+  { name: 'Rust', category: 'Programming Languages', aliases: ['rust'] },
+  { name: 'Ruby', category: 'Programming Languages', aliases: ['ruby'] },
+  { name: 'PHP', category: 'Programming Languages', aliases: ['php'] },
+  { name: 'Kotlin', category: 'Programming Languages', aliases: ['kotlin'] },
+  { name: 'Swift', category: 'Programming Languages', aliases: ['swift'] },
+  { name: 'Scala', category: 'Programming Languages', aliases: ['scala'] },
+  { name: 'R', category: 'Programming Languages', aliases: ['r programming', 'rstudio'] },
+  { name: 'SQL', category: 'Databases', aliases: ['sql', 't-sql', 'pl/sql', 'plsql'] },
+  { name: 'Bash', category: 'DevOps', aliases: ['bash', 'shell scripting', 'shell script'] },
+
+  // Frontend
+  { name: 'HTML', category: 'Web Development', aliases: ['html', 'html5'] },
+  { name: 'CSS', category: 'Web Development', aliases: ['css', 'css3', 'scss', 'sass'] },
+  { name: 'React', category: 'Web Development', aliases: ['react', 'react.js', 'reactjs'], related: ['JavaScript', 'Redux', 'Next.js'] },
+  { name: 'Angular', category: 'Web Development', aliases: ['angular', 'angularjs', 'angular.js'], related: ['TypeScript', 'RxJS', 'NgRx'] },
+  { name: 'Vue.js', category: 'Web Development', aliases: ['vue', 'vue.js', 'vuejs'], related: ['JavaScript'] },
+  { name: 'Next.js', category: 'Web Development', aliases: ['next.js', 'nextjs'], related: ['React'] },
+  { name: 'Redux', category: 'Web Development', aliases: ['redux'], related: ['React'] },
+  { name: 'NgRx', category: 'Web Development', aliases: ['ngrx'], related: ['Angular', 'RxJS'] },
+  { name: 'RxJS', category: 'Web Development', aliases: ['rxjs'] },
+  { name: 'Tailwind CSS', category: 'Web Development', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+  { name: 'Bootstrap', category: 'Web Development', aliases: ['bootstrap'] },
+  { name: 'jQuery', category: 'Web Development', aliases: ['jquery'] },
+  { name: 'Micro Frontends', category: 'Web Development', aliases: ['micro frontend', 'micro frontends', 'micro-frontend', 'module federation'] },
+
+  // Backend
+  { name: 'Node.js', category: 'Web Development', aliases: ['node.js', 'nodejs'], related: ['JavaScript', 'Express'] },
+  { name: 'Express', category: 'Web Development', aliases: ['express.js', 'expressjs'], related: ['Node.js'] },
+  { name: 'Django', category: 'Web Development', aliases: ['django'], related: ['Python'] },
+  { name: 'Flask', category: 'Web Development', aliases: ['flask'], related: ['Python'] },
+  { name: 'FastAPI', category: 'Web Development', aliases: ['fastapi'], related: ['Python'] },
+  { name: 'Spring Boot', category: 'Web Development', aliases: ['spring boot', 'springboot', 'spring framework'], related: ['Java'] },
+  { name: '.NET', category: 'Web Development', aliases: ['.net', 'dotnet', 'asp.net', '.net core'], related: ['C#'] },
+  { name: 'Ruby on Rails', category: 'Web Development', aliases: ['rails', 'ruby on rails'], related: ['Ruby'] },
+  { name: 'GraphQL', category: 'Web Development', aliases: ['graphql', 'apollo'] },
+  { name: 'REST APIs', category: 'Web Development', aliases: ['rest api', 'rest apis', 'restful', 'restful apis'] },
+
+  // Databases
+  { name: 'MongoDB', category: 'Databases', aliases: ['mongodb', 'mongo', 'mongoose'] },
+  { name: 'PostgreSQL', category: 'Databases', aliases: ['postgresql', 'postgres'] },
+  { name: 'MySQL', category: 'Databases', aliases: ['mysql', 'mariadb'] },
+  { name: 'Redis', category: 'Databases', aliases: ['redis'] },
+  { name: 'Elasticsearch', category: 'Databases', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  { name: 'Oracle Database', category: 'Databases', aliases: ['oracle db', 'oracle database'] },
+
+  // Cloud and DevOps
+  { name: 'AWS', category: 'Cloud Computing', aliases: ['aws', 'amazon web services', 'ec2'] },
+  { name: 'Azure', category: 'Cloud Computing', aliases: ['azure', 'microsoft azure'] },
+  { name: 'Google Cloud', category: 'Cloud Computing', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  { name: 'Docker', category: 'DevOps', aliases: ['docker'] },
+  { name: 'Kubernetes', category: 'DevOps', aliases: ['kubernetes', 'k8s'], related: ['Docker'] },
+  { name: 'Terraform', category: 'DevOps', aliases: ['terraform'] },
+  { name: 'CI/CD', category: 'DevOps', aliases: ['ci/cd', 'cicd', 'continuous integration', 'jenkins', 'github actions', 'gitlab ci'] },
+  { name: 'Git', category: 'DevOps', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+  { name: 'Linux', category: 'DevOps', aliases: ['linux', 'unix', 'ubuntu'] },
+
+  // Data and AI
+  { name: 'Machine Learning', category: 'Data Science', aliases: ['machine learning', 'ml'] },
+  { name: 'Deep Learning', category: 'Data Science', aliases: ['deep learning', 'neural networks'], related: ['Machine Learning'] },
+  { name: 'TensorFlow', category: 'Data Science', aliases: ['tensorflow', 'keras'], related: ['Deep Learning', 'Python'] },
+  { name: 'PyTorch', category: 'Data Science', aliases: ['pytorch'], related: ['Deep Learning', 'Python'] },
+  { name: 'Pandas', category: 'Data Science', aliases: ['pandas'], related: ['Python', 'Data Analysis'] },
+  { name: 'NumPy', category: 'Data Science', aliases: ['numpy'], related: ['Python'] },
+  { name: 'scikit-learn', category: 'Data Science', aliases: ['scikit-learn', 'sklearn'], related: ['Machine Learning', 'Python'] },
+  { name: 'Data Analysis', category: 'Data Science', aliases: ['data analysis', 'data analytics'] },
+  { name: 'Data Visualization', category: 'Data Science', aliases: ['data visualization', 'highcharts', 'd3.js', 'd3', 'tableau', 'power bi', 'ag-charts'] },
+  { name: 'NLP', category: 'Data Science', aliases: ['nlp', 'natural language processing'] },
+  { name: 'Spark', category: 'Data Science', aliases: ['spark', 'apache spark', 'pyspark'] },
+
+  // Mobile
+  { name: 'Android', category: 'Mobile Development', aliases: ['android'] },
+  { name: 'iOS', category: 'Mobile Development', aliases: ['ios'] },
+  { name: 'React Native', category: 'Mobile Development', aliases: ['react native', 'react-native'], related: ['React'] },
+  { name: 'Flutter', category: 'Mobile Development', aliases: ['flutter', 'dart'] },
+
+  // Design, testing and practices
+  { name: 'UI/UX Design', category: 'Design', aliases: ['ui/ux', 'ux design', 'ui design', 'user experience'] },
+  { name: 'Figma', category: 'Design', aliases: ['figma'] },
+  { name: 'Testing', category: 'Software Engineering', aliases: ['unit testing', 'jest', 'jasmine', 'karma', 'mocha', 'cypress', 'selenium', 'pytest'] },
+  { name: 'Agile', category: 'Software Engineering', aliases: ['agile', 'scrum', 'kanban'] },
+  { name: 'Microservices', category: 'Software Engineering', aliases: ['microservices', 'micro services'] },
+  { name: 'System Design', category: 'Software Engineering', aliases: ['system design', 'software architecture'] },
+  { name: 'Cybersecurity', category: 'Security', aliases: ['cybersecurity', 'cyber security', 'information security', 'penetration testing'] },
+  { name: 'Project Management', category: 'Management', aliases: ['project management', 'jira'] },
+  { name: 'Leadership', category: 'Management', aliases: ['leadership', 'team leadership', 'people management'] },
+];
+
+// Spellings of the categories themselves, used when the taxonomy is seeded
+const CATEGORY_ALIASES = {
+  'Programming Languages': ['programming', 'programming languages', 'coding'],
+  'Web Development': ['web development', 'web dev', 'frontend', 'front end', 'front-end', 'backend', 'back end', 'back-end', 'full stack', 'fullstack'],
+  Databases: ['databases', 'database'],
+  'Cloud Computing': ['cloud computing', 'cloud'],
+  DevOps: ['devops', 'dev ops'],
+  'Data Science': ['data science', 'data scientist'],
+  'Mobile Development': ['mobile development', 'mobile apps', 'mobile'],
+  Design: ['design'],
+  'Software Engineering': ['software engineering', 'software development'],
+  Security: ['security', 'infosec'],
+  Management: ['management'],
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Aliases may start or end with symbols (c++, .net), so word boundaries are spelled out
+const MATCHERS = SKILLS.map((skill) => ({
+  skill,
+  patterns: skill.aliases.map((alias) => new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(alias)}(?=$|[^a-z0-9+#])`, 'gi')),
+}));
+
+/**
+ * Find dictionary skills mentioned in a piece of text
+ * @param {string} text - Free text
+ * @returns {Array<Object>} [{ name, category, mentions }] ordered by mentions, most first
+ */
+function matchSkills(text = '') {
+  // "Java Script" is common enough in resumes to be worth undoing before matching Java
+  const normalized = String(text).replace(/java\s+script/gi, 'javascript');
+  const matches = [];
+  for (const { skill, patterns } of MATCHERS) {
+    const mentions = patterns.reduce((count, pattern) => count + (normalized.match(pattern) || []).length, 0);
+    if (mentions > 0) {
+      matches.push({ name: skill.name, category: skill.category, mentions });
+    }
+  }
+  return matches.sort((a, b) => b.mentions - a.mentions);
+}
+
+/**
+ * Canonical name for a skill, or null when it is not in the dictionary
+ * @param {string} name - Skill name as written
+ * @returns {string|null} Canonical name
+ */
+function canonicalSkillName(name = '') {
+  const needle = String(name).trim().toLowerCase();
+  const skill = SKILLS.find((entry) => entry.name.toLowerCase() === needle || entry.aliases.includes(needle));
+  return skill ? skill.name : null;
+}
+
+module.exports = { SKILLS, CATEGORY_ALIASES, escapeRegExp, matchSkills, canonicalSkillName };
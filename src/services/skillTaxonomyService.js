@@ -0,0 +1,369 @@
+const Skill = require('../models/Skill');
+const { SKILLS, CATEGORY_ALIASES, escapeRegExp } = require('./skillDictionary');
+
+// The taxonomy changes rarely, so lookups run against an in-memory copy
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Profile fields holding skill names, and the array fields holding { skill } entries
+const PROFILE_SKILL_FIELDS = ['skill', 'primarySkillCategory', 'skillsToLearn', 'relatedSkills', 'prioritySkills'];
+const PROFILE_SKILL_ENTRY_FIELDS = ['currentSkillLevels', 'skillAssessments'];
+
+let cache = null;
+
+function taxonomyError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Canonical id for a skill name: "Node.js" -> "nodejs", "C++" -> "cpp", "CI/CD" -> "ci-cd"
+ * @param {string} name - Skill name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/\+\+/g, 'pp')
+    .replace(/#/g, 'sharp')
+    .replace(/^\./, 'dot')
+    .replace(/\.js\b/g, 'js')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function keyOf(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Taxonomy entries built from the skill dictionary: one category entry per dictionary
+ * category, then every skill under its category
+ * @returns {Array<Object>} [{ slug, name, kind, aliases, parent, related }]
+ */
+function dictionaryEntries() {
+  const categories = [...new Set(SKILLS.map((skill) => skill.category))].map((category) => ({
+    slug: slugify(category),
+    name: category,
+    kind: 'category',
+    aliases: CATEGORY_ALIASES[category] || [category.toLowerCase()],
+    parent: null,
+    related: [],
+  }));
+  const skills = SKILLS.map((skill) => ({
+    slug: slugify(skill.name),
+    name: skill.name,
+    kind: 'skill',
+    aliases: skill.aliases,
+    parent: slugify(skill.category),
+    related: (skill.related || []).map(slugify),
+  }));
+  return [...categories, ...skills];
+}
+
+function buildIndex(entries) {
+  const bySlug = new Map();
+  const byKey = new Map();
+  for (const entry of entries) {
+    bySlug.set(entry.slug, entry);
+  }
+  // Slugs and names win over aliases when a spelling is claimed twice
+  for (const entry of entries) {
+    for (const key of [entry.slug, keyOf(entry.name)]) {
+      if (!byKey.has(key)) byKey.set(key, entry);
+    }
+  }
+  for (const entry of entries) {
+    for (const alias of entry.aliases) {
+      if (!byKey.has(alias)) byKey.set(alias, entry);
+    }
+  }
+  // Short names ("Go", "R", "C") would match ordinary words, so free text is only
+  // matched on aliases; entries without any fall back to their name
+  const matchers = entries.map((entry) => {
+    const spellings = entry.aliases.length ? entry.aliases : [keyOf(entry.name)];
+    return {
+      entry,
+      patterns: spellings.map((alias) => new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(alias)}(?=$|[^a-z0-9+#])`, 'i')),
+    };
+  });
+  return { entries, bySlug, byKey, matchers };
+}
+
+/**
+ * Load the taxonomy into memory: the built-in dictionary with stored entries laid over
+ * it by slug, so admin edits and additions apply whether or not the migration has
+ * seeded the collection.
+ * @param {Object} [options] - { force } to bypass the cache
+ * @returns {Promise<Object>} { entries, bySlug, byKey, matchers }
+ */
+async function loadTaxonomy({ force = false } = {}) {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.index;
+
+  const stored = await Skill.find({}, { _id: 0, slug: 1, name: 1, kind: 1, aliases: 1, parent: 1, related: 1 }).lean();
+  const merged = new Map(dictionaryEntries().map((entry) => [entry.slug, entry]));
+  for (const entry of stored) merged.set(entry.slug, entry);
+  cache = { loadedAt: Date.now(), index: buildIndex([...merged.values()]) };
+  return cache.index;
+}
+
+// Drop the cached copy after an admin edit
+function invalidateTaxonomy() {
+  cache = null;
+}
+
+/**
+ * Resolve a skill or topic to its taxonomy entry by slug, name or alias
+ * @param {string} value - Skill as written
+ * @returns {Promise<Object|null>} Entry, or null when the taxonomy does not know it
+ */
+async function resolveSkill(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const { byKey } = await loadTaxonomy();
+  return byKey.get(keyOf(value)) || null;
+}
+
+/**
+ * Canonical name for a skill or topic. Unknown values are kept as written (trimmed)
+ * so learners can still track things the taxonomy has not caught up with.
+ * @param {string} value - Skill as written
+ * @returns {Promise<string>} Canonical name
+ */
+async function canonicalSkill(value) {
+  if (typeof value !== 'string') return value;
+  const entry = await resolveSkill(value);
+  return entry ? entry.name : value.trim();
+}
+
+/**
+ * Synchronous canonical-name lookup over the loaded taxonomy, for code that resolves
+ * many names in one pass. Behaves like canonicalSkill.
+ * @returns {Promise<Function>} (value) => canonical name
+ */
+async function canonicalSkillLookup() {
+  const { byKey } = await loadTaxonomy();
+  return (value) => {
+    if (typeof value !== 'string') return value;
+    return byKey.get(keyOf(value))?.name || value.trim();
+  };
+}
+
+/**
+ * Canonical names for a list of skills, with spellings of the same skill collapsed
+ * @param {Array<string>} values - Skills as written
+ * @returns {Promise<Array<string>>} Canonical names, first occurrence order
+ */
+async function canonicalSkillList(values = []) {
+  const names = await Promise.all(values.map(canonicalSkill));
+  const seen = new Set();
+  return names.filter((name) => {
+    if (typeof name !== 'string' || !name) return false;
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Canonicalise the skill fields of a set of profile answers. Fields that are absent
+ * stay absent; { skill } entries naming the same skill twice keep the first.
+ * @param {Object} fields - Profile fields (onboarding answers, imports)
+ * @returns {Promise<Object>} Copy of fields with canonical skill names
+ */
+async function normalizeProfileSkills(fields = {}) {
+  const normalized = { ...fields };
+  for (const field of PROFILE_SKILL_FIELDS) {
+    const value = normalized[field];
+    if (Array.isArray(value)) normalized[field] = await canonicalSkillList(value);
+    else if (typeof value === 'string') normalized[field] = await canonicalSkill(value);
+  }
+  for (const field of PROFILE_SKILL_ENTRY_FIELDS) {
+    if (!Array.isArray(normalized[field])) continue;
+    const seen = new Set();
+    const entries = [];
+    for (const entry of normalized[field]) {
+      const plain = entry && typeof entry.toObject === 'function' ? entry.toObject() : entry;
+      const skill = await canonicalSkill(plain?.skill);
+      const key = typeof skill === 'string' ? skill.toLowerCase() : skill;
+      if (field === 'currentSkillLevels' && seen.has(key)) continue;
+      seen.add(key);
+      entries.push({ ...plain, skill });
+    }
+    normalized[field] = entries;
+  }
+  return normalized;
+}
+
+/**
+ * Taxonomy entries mentioned in a piece of free text (search queries, topics)
+ * @param {string} text - Free text
+ * @returns {Promise<Array<Object>>} Matching entries
+ */
+async function findSkillsInText(text = '') {
+  const { matchers } = await loadTaxonomy();
+  return matchers
+    .filter(({ patterns }) => patterns.some((pattern) => pattern.test(text)))
+    .map(({ entry }) => entry);
+}
+
+/**
+ * List taxonomy entries
+ * @param {Object} [filter] - { kind, parent, q } where q matches names and aliases
+ * @returns {Promise<Array<Object>>} Entries sorted by name
+ */
+async function listSkills({ kind, parent, q } = {}) {
+  const filter = {};
+  if (kind) filter.kind = kind;
+  if (parent) filter.parent = parent;
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(String(q).trim()), 'i');
+    filter.$or = [{ name: pattern }, { slug: pattern }, { aliases: pattern }];
+  }
+  return Skill.find(filter).sort({ name: 1 }).lean();
+}
+
+// Aliases must point at one entry only, and parent/related must exist. Checked against
+// the merged taxonomy, so dictionary entries count whether or not they are seeded.
+async function checkReferences(slug, { aliases = [], parent, related = [] }) {
+  const { bySlug, byKey } = await loadTaxonomy({ force: true });
+
+  const claimed = aliases.map((alias) => byKey.get(alias)).find((entry) => entry && entry.slug !== slug);
+  if (claimed) throw taxonomyError(`An alias is already used by "${claimed.slug}"`, 409);
+
+  if (parent) {
+    if (parent === slug) throw taxonomyError('A skill cannot be its own parent', 400);
+    // Walk up from the new parent; meeting this entry again would create a cycle
+    let ancestor = bySlug.get(parent);
+    if (!ancestor) throw taxonomyError(`Unknown parent "${parent}"`, 400);
+    if (ancestor.kind === 'concept') throw taxonomyError('Concepts cannot have children', 400);
+    while (ancestor && ancestor.parent) {
+      if (ancestor.parent === slug) throw taxonomyError('Parent would create a cycle', 400);
+      ancestor = bySlug.get(ancestor.parent);
+    }
+  }
+
+  const others = related.filter((entry) => entry !== slug);
+  const unknown = others.filter((entry) => !bySlug.has(entry));
+  if (unknown.length) throw taxonomyError(`Unknown related skills: ${unknown.join(', ')}`, 400);
+  return others;
+}
+
+async function hasChildren(slug) {
+  const { entries } = await loadTaxonomy({ force: true });
+  return entries.some((entry) => entry.parent === slug);
+}
+
+function cleanAliases(aliases = []) {
+  return [...new Set(aliases.map(keyOf).filter(Boolean))];
+}
+
+/**
+ * Add an entry to the taxonomy
+ * @param {Object} data - { slug?, name, kind?, aliases?, parent?, related? }
+ * @returns {Promise<Object>} Created entry
+ */
+async function createSkill(data) {
+  const slug = slugify(data.slug || data.name);
+  if (!slug) throw taxonomyError('A slug could not be derived from the name', 400);
+  if (await Skill.exists({ slug })) throw taxonomyError(`Skill "${slug}" already exists`, 409);
+
+  const aliases = cleanAliases(data.aliases);
+  const related = await checkReferences(slug, { aliases, parent: data.parent, related: data.related });
+  const skill = await Skill.create({
+    slug,
+    name: data.name,
+    kind: data.kind || 'skill',
+    aliases,
+    parent: data.parent || null,
+    related,
+  });
+  invalidateTaxonomy();
+  return skill.toObject();
+}
+
+/**
+ * Change an entry. The slug is permanent because other entries refer to it. A dictionary
+ * entry that has not been seeded is stored on its first edit.
+ * @param {string} slug - Entry slug
+ * @param {Object} changes - Any of { name, kind, aliases, parent, related }
+ * @returns {Promise<Object|null>} Updated entry, or null when not found
+ */
+async function updateSkill(slug, changes) {
+  let skill = await Skill.findOne({ slug });
+  if (!skill) {
+    const builtIn = dictionaryEntries().find((entry) => entry.slug === slug);
+    if (!builtIn) return null;
+    skill = new Skill(builtIn);
+  }
+
+  const aliases = changes.aliases !== undefined ? cleanAliases(changes.aliases) : [];
+  const parent = changes.parent !== undefined ? changes.parent : undefined;
+  const related = await checkReferences(slug, { aliases, parent, related: changes.related || [] });
+
+  if (changes.kind === 'concept' && (await hasChildren(slug))) {
+    throw taxonomyError('Entries with children cannot become concepts', 409);
+  }
+
+  if (changes.name !== undefined) skill.name = changes.name;
+  if (changes.kind !== undefined) skill.kind = changes.kind;
+  if (changes.aliases !== undefined) skill.aliases = aliases;
+  if (parent !== undefined) skill.parent = parent || null;
+  if (changes.related !== undefined) skill.related = related;
+  await skill.save();
+  invalidateTaxonomy();
+  return skill.toObject();
+}
+
+/**
+ * Remove a stored entry and any related links to it. Entries with children must have
+ * them moved or removed first. A removed dictionary entry falls back to its built-in
+ * definition.
+ * @param {string} slug - Entry slug
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+async function deleteSkill(slug) {
+  if (await hasChildren(slug)) {
+    throw taxonomyError('Move or remove the skills under this entry first', 409);
+  }
+  const result = await Skill.deleteOne({ slug });
+  if (!result.deletedCount) return false;
+  await Skill.updateMany({ related: slug }, { $pull: { related: slug } });
+  invalidateTaxonomy();
+  return true;
+}
+
+/**
+ * Insert the dictionary's entries that the collection does not have yet. Existing
+ * entries are left alone so admin edits survive re-seeding.
+ * @returns {Promise<number>} Entries inserted
+ */
+async function seedTaxonomy() {
+  const entries = dictionaryEntries();
+  const result = await Skill.bulkWrite(
+    entries.map((entry) => ({
+      updateOne: { filter: { slug: entry.slug }, update: { $setOnInsert: entry }, upsert: true },
+    }))
+  );
+  invalidateTaxonomy();
+  return result.upsertedCount;
+}
+
+module.exports = {
+  slugify,
+  dictionaryEntries,
+  loadTaxonomy,
+  invalidateTaxonomy,
+  resolveSkill,
+  canonicalSkill,
+  canonicalSkillLookup,
+  canonicalSkillList,
+  normalizeProfileSkills,
+  findSkillsInText,
+  listSkills,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  seedTaxonomy,
+};
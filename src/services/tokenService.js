@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  createSession,
+  continueSession,
+  touchSession,
+  revokeFamily,
+  revokeAllSessions,
+} = require('./sessionService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function authError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} options - { session, mfa } where mfa says whether the login passed two-factor authentication
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, { session, mfa = false }) {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      sid: session._id.toString(),
+      email: user.email,
+      roles: user.roles?.length ? user.roles : ['learner'],
+      mfa,
+      ver: user.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function createRefreshToken(user, { family, ip, mfa = false, expiresAt }) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    mfa,
+    expiresAt,
+    createdByIp: ip,
+  });
+  return token;
+}
+
+/**
+ * Start a session and issue its first access/refresh token pair after a successful login
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ ip, userAgent, mfa })
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function issueTokens(user, { ip, userAgent, mfa = false } = {}) {
+  const family = crypto.randomUUID();
+  const expiresAt = refreshExpiry();
+  const session = await createSession(user._id, { family, ip, userAgent, expiresAt });
+  const refreshToken = await createRefreshToken(user, { family, ip, mfa, expiresAt });
+  return { token: signAccessToken(user, { session, mfa }), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Sign the short-lived token returned by /login when a second factor is still needed
+ * @param {Object} user - User document
+ * @returns {string} Signed challenge JWT
+ */
+function signTwoFactorChallenge(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), purpose: 'login_2fa', ver: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge JWT
+ * @returns {Object} Payload
+ */
+function verifyTwoFactorChallenge(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw authError('Invalid or expired challenge token');
+  }
+  if (payload.purpose !== 'login_2fa') {
+    throw authError('Invalid or expired challenge token');
+  }
+  return payload;
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is consumed; presenting
+ * it again afterwards is treated as theft and revokes the whole token family, ending
+ * its session.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} context - Request context ({ ip })
+ * @returns {Promise<Object>} { user, tokens }
+ */
+async function rotateRefreshToken(refreshToken, { ip } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+      await revokeFamily(reused.family, reused.userId);
+    }
+    throw authError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user || user.deletedAt) throw authError('Invalid or expired refresh token');
+
+  const expiresAt = refreshExpiry();
+  const session = await continueSession(user._id, current.family, { ip, expiresAt });
+  if (!session) throw authError('Invalid or expired refresh token');
+
+  const nextToken = await createRefreshToken(user, { family: current.family, ip, mfa: current.mfa, expiresAt });
+  current.replacedByHash = hashToken(nextToken);
+  await current.save();
+
+  return {
+    user,
+    tokens: {
+      token: signAccessToken(user, { session, mfa: current.mfa }),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    },
+  };
+}
+
+/**
+ * Revoke the refresh token family a token belongs to, ending its session (single-device logout)
+ * @param {string} refreshToken - Raw refresh token
+ * @param {string} userId - Owner of the token
+ */
+async function revokeRefreshToken(refreshToken, userId) {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), userId });
+  if (!existing) return;
+  await revokeFamily(existing.family, userId);
+}
+
+/**
+ * Put an access token on the denylist until it would have expired anyway
+ * @param {Object} payload - Verified JWT payload
+ */
+async function revokeAccessToken(payload) {
+  if (!payload?.jti) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { userId: payload.sub, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Invalidate a user's outstanding access tokens while leaving refresh tokens usable, so
+ * clients pick up changed claims (e.g. roles) on their next refresh
+ * @param {string} userId - The user ID
+ */
+async function invalidateAccessTokens(userId) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+/**
+ * End every session and invalidate every access and refresh token a user holds
+ * @param {string} userId - The user ID
+ */
+async function revokeAllUserTokens(userId) {
+  await invalidateAccessTokens(userId);
+  await revokeAllSessions(userId);
+}
+
+/**
+ * Verify an access token's signature, expiry, session and revocation state
+ * @param {string} token - Raw JWT
+ * @param {Object} context - Request context ({ ip }), recorded as session activity
+ * @returns {Promise<Object>} { payload, user } where user holds the account state checked per request
+ */
+async function verifyAccessToken(token, { ip } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw authError('Invalid or expired token');
+  }
+  if (payload.purpose || !payload.sid) {
+    // Challenge tokens are not access tokens, nor are tokens issued before sessions existed
+    throw authError('Invalid or expired token');
+  }
+
+  if (payload.jti && (await RevokedToken.exists({ jti: payload.jti }))) {
+    throw authError('Token has been revoked');
+  }
+
+  if (!(await touchSession(payload.sid, payload.sub, { ip }))) {
+    throw authError('Session has ended');
+  }
+
+  const user = await User.findById(
+    payload.sub,
+    { tokenVersion: 1, emailVerified: 1, deletedAt: 1, 'twoFactor.required': 1 }
+  ).lean();
+  if (!user || user.deletedAt || (user.tokenVersion || 0) !== (payload.ver || 0)) {
+    throw authError('Token has been revoked');
+  }
+
+  return { payload, user };
+}
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  issueTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  invalidateAccessTokens,
+  revokeAllUserTokens,
+  verifyAccessToken,
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30s step, 6 digits), as used by
+// Google Authenticator, 1Password, Authy and friends.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || 'SkillForge';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are encrypted at rest; the key defaults to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'dev-secret-change-me')
+  .digest();
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32-encoded shared secret
+ * @returns {string} 160-bit secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentCounter(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { lastUsedCounter } to reject replays
+ * @returns {number|null} Matched counter, or null if the code is invalid
+ */
+function verifyTotp(secret, code, { lastUsedCounter = -1, window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const counter = currentCounter();
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = counter + offset;
+    if (candidate <= lastUsedCounter) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI consumed by authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = String(payload).split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  generateSecret,
+  hotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+};
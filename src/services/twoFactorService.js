@@ -0,0 +1,114 @@
+const { hashToken } = require('./tokenService');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} = require('./totpService');
+
+function issueRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+}
+
+/**
+ * Start enrolment: store a pending secret and return what the authenticator app needs
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+async function beginEnrollment(user) {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+  return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>|null>} Recovery codes (shown once), or null if the code is wrong
+ */
+async function confirmEnrollment(user, code) {
+  if (!user.twoFactor.pendingSecret) return null;
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const counter = verifyTotp(secret, code);
+  if (counter === null) return null;
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedCounter = counter;
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save();
+  return recoveryCodes;
+}
+
+/**
+ * Check a TOTP code or a recovery code. Consumed codes cannot be used again.
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' on success, else null
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (!user.twoFactor?.enabled) return null;
+
+  if (code) {
+    const counter = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+      lastUsedCounter: user.twoFactor.lastUsedCounter,
+    });
+    if (counter === null) return null;
+    user.twoFactor.lastUsedCounter = counter;
+    await user.save();
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) return null;
+    user.twoFactor.recoveryCodeHashes.splice(index, 1);
+    await user.save();
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} New codes (shown once)
+ */
+async function regenerateRecoveryCodes(user) {
+  const codes = issueRecoveryCodes(user);
+  await user.save();
+  return codes;
+}
+
+/**
+ * Turn 2FA off and forget the secret
+ * @param {Object} user - User document
+ */
+async function disableTwoFactor(user) {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = [];
+  user.twoFactor.lastUsedCounter = -1;
+  user.twoFactor.enabledAt = undefined;
+  await user.save();
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
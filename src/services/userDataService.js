@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const Roadmap = require('../models/Roadmap');
+const RoadmapVersion = require('../models/RoadmapVersion');
+const Progress = require('../models/Progress');
+const SkillMemoryBank = require('../models/SkillMemoryBank');
+const UserBadge = require('../models/UserBadge');
+const UserChallenge = require('../models/UserChallenge');
+const Leaderboard = require('../models/Leaderboard');
+const Squad = require('../models/Squad');
+const Challenge = require('../models/Challenge');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuthEvent = require('../models/AuthEvent');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const UserToken = require('../models/UserToken');
+const OnboardingDraft = require('../models/OnboardingDraft');
+const ResumeJob = require('../models/ResumeJob');
+const Connection = require('../models/Connection');
+const Follow = require('../models/Follow');
+const { deleteResumeJobs } = require('./resumeJobService');
+
+// Every collection holding personal data, keyed by the file name used in exports. New
+// user-owned collections must be added here so they are covered by data exports and
+// account deletion. Sources are purged in reverse order, so the account goes last.
+// export: false - purged but not exported (credentials)
+// purge(userId) - custom cleanup; the default deletes every document matching filter
+const USER_DATA_SOURCES = [
+  {
+    name: 'account',
+    single: true,
+    model: User,
+    filter: (userId) => ({ _id: userId }),
+    // Credentials and 2FA secrets never leave the database
+    projection: {
+      passwordHash: 0,
+      tokenVersion: 0,
+      'twoFactor.secret': 0,
+      'twoFactor.pendingSecret': 0,
+      'twoFactor.recoveryCodeHashes': 0,
+      'twoFactor.lastUsedCounter': 0,
+    },
+  },
+  { name: 'profile', single: true, model: UserProfile, filter: (userId) => ({ userId }) },
+  { name: 'onboarding-drafts', model: OnboardingDraft, filter: (userId) => ({ userId }) },
+  {
+    name: 'resume-analyses',
+    model: ResumeJob,
+    filter: (userId) => ({ userId }),
+    projection: { filePath: 0 },
+    purge: deleteResumeJobs,
+  },
+  { name: 'roadmaps', model: Roadmap, filter: (userId) => ({ userId }) },
+  { name: 'roadmap-versions', model: RoadmapVersion, filter: (userId) => ({ userId }) },
+  { name: 'progress', model: Progress, filter: (userId) => ({ userId }) },
+  { name: 'skill-memory', single: true, model: SkillMemoryBank, filter: (userId) => ({ userId }) },
+  { name: 'badges', model: UserBadge, filter: (userId) => ({ userId }) },
+  { name: 'challenges', model: UserChallenge, filter: (userId) => ({ userId }) },
+  {
+    name: 'challenge-participation',
+    model: Challenge,
+    filter: (userId) => ({ participants: userId }),
+    projection: { id: 1, title: 1 },
+    purge: (userId) => Challenge.updateMany({ participants: userId }, { $pull: { participants: userId } }),
+  },
+  { name: 'leaderboard', single: true, model: Leaderboard, filter: (userId) => ({ userId }) },
+  {
+    name: 'squads',
+    model: Squad,
+    filter: (userId) => ({ members: userId }),
+    projection: { name: 1, createdBy: 1, createdAt: 1 },
+    purge: purgeSquadMemberships,
+  },
+  {
+    name: 'connections',
+    model: Connection,
+    filter: (userId) => ({ $or: [{ requester: userId }, { recipient: userId }] }),
+    projection: { pairKey: 0 },
+  },
+  { name: 'follows', model: Follow, filter: (userId) => ({ $or: [{ follower: userId }, { followee: userId }] }) },
+  { name: 'sessions', model: Session, filter: (userId) => ({ userId }), projection: { family: 0 } },
+  { name: 'access-tokens', model: PersonalAccessToken, filter: (userId) => ({ userId }), projection: { tokenHash: 0 } },
+  { name: 'auth-events', model: AuthEvent, filter: (userId) => ({ userId }) },
+  { name: 'refresh-tokens', export: false, model: RefreshToken, filter: (userId) => ({ userId }) },
+  { name: 'revoked-tokens', export: false, model: RevokedToken, filter: (userId) => ({ userId }) },
+  { name: 'user-tokens', export: false, model: UserToken, filter: (userId) => ({ userId }) },
+];
+
+const EXPORTED_SOURCES = USER_DATA_SOURCES.filter((source) => source.export !== false);
+
+/**
+ * Remove a user from their squads and any invitations. Squads they created pass to the longest-standing
+ * remaining member; squads left without members are deleted.
+ * @param {string} userId - The user ID
+ */
+async function purgeSquadMemberships(userId) {
+  await Squad.updateMany({ members: userId }, { $pull: { members: userId } });
+  await Squad.updateMany(
+    { $or: [{ 'invites.userId': userId }, { 'invites.invitedBy': userId }] },
+    { $pull: { invites: { $or: [{ userId }, { invitedBy: userId }] } } }
+  );
+
+  const owned = await Squad.find({ createdBy: userId });
+  for (const squad of owned) {
+    if (squad.members.length) {
+      squad.createdBy = squad.members[0];
+      await squad.save();
+    } else {
+      await squad.deleteOne();
+    }
+  }
+}
+
+/**
+ * Gather everything stored about a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Map of source name to document (single sources) or array of documents
+ */
+async function collectUserData(userId) {
+  const data = {};
+  for (const source of EXPORTED_SOURCES) {
+    const query = source.single
+      ? source.model.findOne(source.filter(userId), source.projection)
+      : source.model.find(source.filter(userId), source.projection);
+    data[source.name] = await query.lean();
+  }
+  return data;
+}
+
+/**
+ * Human-readable overview of collected data, included in exports as SUMMARY.txt
+ * @param {Object} data - Result of collectUserData
+ * @param {Date} generatedAt - Export time
+ * @returns {string} Plain-text summary
+ */
+function summarizeUserData(data, generatedAt = new Date()) {
+  const account = data.account || {};
+  const lines = [
+    'SkillForge personal data export',
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    `Name: ${account.name || '-'}`,
+    `Email: ${account.email || '-'}`,
+    `Member since: ${account.createdAt ? new Date(account.createdAt).toISOString() : '-'}`,
+    `Roles: ${(account.roles || []).join(', ') || '-'}`,
+    '',
+    'Files in this archive:',
+  ];
+  for (const source of EXPORTED_SOURCES) {
+    const value = data[source.name];
+    const count = source.single ? (value ? 1 : 0) : (value || []).length;
+    lines.push(`  data/${source.name}.json - ${count} ${count === 1 ? 'record' : 'records'}`);
+  }
+  lines.push(
+    '',
+    `Points: ${data.leaderboard?.points ?? 0}`,
+    `Lessons completed: ${(data.progress || []).filter((p) => p.status === 'completed').length}`,
+    `Badges earned: ${(data.badges || []).map((b) => b.name).join(', ') || 'none'}`,
+    `Squads: ${(data.squads || []).map((s) => s.name).join(', ') || 'none'}`,
+    '',
+    'Passwords, two-factor secrets and token hashes are never included.'
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Permanently delete everything stored about a user, including the account itself
+ * @param {string} userId - The user ID
+ */
+async function purgeUserData(userId) {
+  for (const source of [...USER_DATA_SOURCES].reverse()) {
+    if (source.purge) {
+      await source.purge(userId);
+    } else {
+      await source.model.deleteMany(source.filter(userId));
+    }
+  }
+}
+
+module.exports = { EXPORTED_SOURCES, collectUserData, summarizeUserData, purgeUserData };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Create a single-use token for a user, invalidating earlier unused tokens of the same purpose
+ * @param {string} userId - The user ID
+ * @param {string} purpose - Token purpose (e.g. 'password_reset')
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Raw token to deliver to the user
+ */
+async function createUserToken(userId, purpose, ttlMs) {
+  await UserToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+}
+
+/**
+ * Atomically mark a token as used
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} The consumed token document, or null if invalid/expired/used
+ */
+async function consumeUserToken(token, purpose) {
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+}
+
+module.exports = { createUserToken, consumeUserToken };
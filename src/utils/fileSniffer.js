@@ -0,0 +1,44 @@
+const path = require('path');
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const MARKDOWN_SYNTAX = /^(#{1,6}\s|\s*[-*+]\s|\s*\d+\.\s|>\s)|\*\*[^*]+\*\*|\[[^\]]+\]\([^)]+\)/m;
+
+function isUtf8Text(buffer) {
+  if (buffer.includes(0)) return false;
+  // Invalid sequences decode to U+FFFD; a genuine one in the text is vanishingly rare
+  return !buffer.toString('utf8').includes('\ufffd');
+}
+
+/**
+ * Identify a resume's format from its contents. The extension only decides between
+ * Markdown and plain text, which look alike on disk.
+ * @param {Buffer} buffer - File contents
+ * @param {string} originalName - Name the file was uploaded with
+ * @returns {string|null} pdf, doc, docx, odt, rtf, md or txt; null when unsupported
+ */
+function detectResumeType(buffer, originalName = '') {
+  if (buffer.length === 0) return null;
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) return 'doc';
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    // OpenDocument stores an uncompressed "mimetype" entry first, straight after its
+    // 30-byte local header. Entry names are never compressed, so Word's main part shows.
+    const archive = buffer.toString('latin1');
+    if (archive.startsWith(`mimetype${ODT_MIMETYPE}`, 30)) return 'odt';
+    if (archive.includes('word/document.xml')) return 'docx';
+    return null;
+  }
+
+  if (!isUtf8Text(buffer)) return null;
+  const extension = path.extname(originalName).toLowerCase();
+  if (MARKDOWN_EXTENSIONS.includes(extension)) return 'md';
+  if (extension === '.txt') return 'txt';
+  return MARKDOWN_SYNTAX.test(buffer.toString('utf8')) ? 'md' : 'txt';
+}
+
+module.exports = { detectResumeType };
@@ -0,0 +1,27 @@
+// Field names whose values must never reach the logs
+const SENSITIVE_KEYS = /pass(word)?|token|secret|code|otp|authorization|cookie/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Redact sensitive query-string parameters in a URL path
+ * @param {string} url - e.g. /api/auth/verify?token=abc
+ * @returns {string} URL with sensitive values replaced
+ */
+function redactUrl(url = '') {
+  const [pathname, query] = String(url).split('?');
+  if (!query) return pathname;
+  const params = query.split('&').map((pair) => {
+    const [key] = pair.split('=');
+    let name;
+    try {
+      name = decodeURIComponent(key);
+    } catch {
+      // Malformed escapes: the key cannot be checked, so treat it as sensitive
+      return `${key}=${REDACTED}`;
+    }
+    return SENSITIVE_KEYS.test(name) ? `${key}=${REDACTED}` : pair;
+  });
+  return `${pathname}?${params.join('&')}`;
+}
+
+module.exports = { redactUrl };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { markdownToText, rtfToText, renderPageInReadingOrder } = require('../src/services/documentTextService');
+
+// A pdf.js page stand-in: runs are [text, x, y, width] on a 600pt-wide page
+function page(runs) {
+  return {
+    getTextContent: async () => ({
+      items: runs.map(([str, x, y, width]) => ({ str, transform: [1, 0, 0, 1, x, y], width })),
+    }),
+    getViewport: () => ({ width: 600 }),
+  };
+}
+
+test('markdownToText strips headings, lists, links and emphasis', () => {
+  const markdown = [
+    '# Jane Doe',
+    '**Senior** *Frontend* Engineer',
+    '* Built [Acme](https://acme.test) with __React__ and _TypeScript_',
+    '1. Contact: [jane@acme.test](mailto:jane@acme.test)',
+    '> `npm` maintainer',
+  ].join('\n');
+
+  assert.equal(markdownToText(markdown), [
+    'Jane Doe',
+    'Senior Frontend Engineer',
+    '- Built Acme (https://acme.test) with React and TypeScript',
+    '- Contact: jane@acme.test',
+    'npm maintainer',
+  ].join('\n'));
+});
+
+test('markdownToText keeps underscores inside words', () => {
+  assert.equal(markdownToText('Email: jane_a_doe@x.com'), 'Email: jane_a_doe@x.com');
+  assert.equal(markdownToText('Wrote snake_case helpers and __init__ hooks'), 'Wrote snake_case helpers and init hooks');
+  assert.equal(markdownToText('Loves _data_science_ work'), 'Loves data_science work');
+});
+
+test('rtfToText decodes hex escapes and skips malformed ones', () => {
+  assert.equal(rtfToText("{\\rtf1\\ansi Caf\\'e9\\par Jos\\'E9}"), 'Café\nJosé');
+  assert.equal(rtfToText("{\\rtf1 Na\\'zzve \\'g1}"), 'Nazzve g1');
+});
+
+test('renderPageInReadingOrder reads each column before the next between full-width lines', async () => {
+  const left = ['Experience', 'Acme, 2020-2023', 'Built the design system', 'Globex, 2018-2020', 'Shipped the app', 'Initech, 2016-2018', 'Ran the QA team'];
+  const right = ['Skills', 'React', 'Node.js', 'TypeScript', 'GraphQL', 'Docker', 'PostgreSQL'];
+  const runs = [
+    // Name and email share the line of a centred heading that crosses the gutter
+    ['Jane Doe', 40, 780, 60],
+    ['Curriculum Vitae', 200, 780, 200],
+    ['jane@x.io', 480, 780.5, 60],
+    ...left.map((text, i) => [text, 40, 740 - i * 20, 200]),
+    ...right.map((text, i) => [text, 320, 740 - i * 20, 200]),
+    ['References available on request', 40, 580, 500],
+    ['Education', 40, 560, 200],
+    ['Languages', 320, 560, 200],
+    ['BSc Computing', 40, 540, 200],
+    ['English, French', 320, 540, 200],
+  ];
+
+  assert.equal(await renderPageInReadingOrder(page(runs)), [
+    'Jane Doe Curriculum Vitae jane@x.io',
+    ...left,
+    ...right,
+    'References available on request',
+    'Education',
+    'BSc Computing',
+    'Languages',
+    'English, French',
+  ].join('\n'));
+});
+
+test('renderPageInReadingOrder reads single-column pages line by line', async () => {
+  const runs = [['Jane Doe', 40, 780, 80], ['Engineer', 40, 760, 80], ['at Acme', 125, 760, 60]];
+  assert.equal(await renderPageInReadingOrder(page(runs)), 'Jane Doe\nEngineer at Acme');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoginThrottle = require('../src/models/LoginThrottle');
+const { getLoginBlock, recordLoginFailure, clearAccountFailures } = require('../src/services/loginThrottleService');
+
+// In-memory stand-in for the collection, covering the calls the service makes
+const rows = new Map();
+LoginThrottle.find = (filter) => ({
+  lean: async () => filter.key.$in.filter((key) => rows.has(key)).map((key) => ({ ...rows.get(key) })),
+});
+LoginThrottle.findOneAndUpdate = async ({ key }, update) => {
+  const row = rows.get(key) || { key, failures: 0 };
+  row.failures += update.$inc.failures;
+  Object.assign(row, update.$set);
+  rows.set(key, row);
+  return { ...row };
+};
+LoginThrottle.updateOne = async ({ key }, update) => {
+  Object.assign(rows.get(key), update);
+};
+LoginThrottle.deleteOne = async ({ key }) => {
+  rows.delete(key);
+};
+
+test.beforeEach(() => rows.clear());
+
+test('the first few failures are not delayed', async () => {
+  for (let i = 0; i < 2; i += 1) await recordLoginFailure('ada@example.com', '10.0.0.1');
+  assert.equal(await getLoginBlock('ada@example.com', '10.0.0.1'), null);
+});
+
+test('failures past the free attempts throttle the account', async () => {
+  for (let i = 0; i < 3; i += 1) await recordLoginFailure('ada@example.com', '10.0.0.1');
+  const block = await getLoginBlock('ada@example.com', '10.0.0.2');
+  assert.equal(block.reason, 'throttled');
+  assert.ok(block.retryAfterSeconds >= 1);
+});
+
+test('reaching the threshold locks the account and resets its counter', async () => {
+  let result;
+  for (let i = 0; i < 5; i += 1) result = await recordLoginFailure('Ada@Example.com', '10.0.0.1');
+  assert.ok(result.accountLockedUntil instanceof Date);
+  assert.equal(rows.get('account:ada@example.com').failures, 0);
+
+  const block = await getLoginBlock('ada@example.com', '10.0.0.9');
+  assert.equal(block.reason, 'locked');
+  assert.ok(block.retryAfterSeconds > 60);
+});
+
+test('the client counter is kept separately and allows more attempts', async () => {
+  for (let i = 0; i < 5; i += 1) await recordLoginFailure(`user${i}@example.com`, '10.0.0.1');
+  assert.equal(await getLoginBlock('other@example.com', '10.0.0.1'), null);
+  assert.equal(rows.get('ip:10.0.0.1').failures, 5);
+});
+
+test('clearing the account counters lifts the lock', async () => {
+  for (let i = 0; i < 5; i += 1) await recordLoginFailure('ada@example.com', '10.0.0.1');
+  await clearAccountFailures('ada@example.com');
+  assert.equal(await getLoginBlock('ada@example.com', '10.0.0.2'), null);
+});
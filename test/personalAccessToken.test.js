@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PersonalAccessToken = require('../src/models/PersonalAccessToken');
+const User = require('../src/models/User');
+const requireAuth = require('../src/middleware/requireAuth');
+const { SCOPES, requiredScopeFor } = require('../src/services/personalAccessTokenService');
+
+const TOKEN = 'sfp_test-token';
+const USER_ID = '64b000000000000000000001';
+
+let tokenScopes = [];
+PersonalAccessToken.findOne = async () => ({
+  _id: 'pat-1',
+  userId: USER_ID,
+  scopes: tokenScopes,
+  lastUsedAt: new Date(),
+  lastUsedIp: '127.0.0.1',
+});
+PersonalAccessToken.updateOne = async () => ({});
+User.findById = () => ({ lean: async () => ({ _id: USER_ID, email: 'ada@example.com', roles: ['learner'] }) });
+
+function call(method, baseUrl) {
+  const req = { method, baseUrl, ip: '127.0.0.1', headers: { authorization: `Bearer ${TOKEN}` } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  return new Promise((resolve, reject) => {
+    Promise.resolve(requireAuth(req, res, (err) => (err ? reject(err) : resolve({ req, res, passed: true }))))
+      .then(() => resolve({ req, res, passed: false }), reject);
+  });
+}
+
+test('requiredScopeFor maps the mount point and method to a scope', () => {
+  assert.equal(requiredScopeFor({ method: 'GET', baseUrl: '/api/progress' }), 'progress:read');
+  assert.equal(requiredScopeFor({ method: 'HEAD', baseUrl: '/api/roadmap' }), 'roadmap:read');
+  assert.equal(requiredScopeFor({ method: 'POST', baseUrl: '/api/onboarding' }), 'profile:write');
+  assert.equal(requiredScopeFor({ method: 'DELETE', baseUrl: '/api/challenges' }), 'challenge:write');
+});
+
+test('requiredScopeFor gives no scope for routes tokens may never call', () => {
+  assert.equal(requiredScopeFor({ method: 'GET', baseUrl: '/api/auth' }), null);
+  assert.equal(requiredScopeFor({ method: 'GET', baseUrl: '/api/admin' }), null);
+  assert.equal(requiredScopeFor({ method: 'POST', baseUrl: '/api/runner' }), null);
+});
+
+test('every scope offered is required by some mount point', () => {
+  const mounts = ['/api/profile', '/api/roadmap', '/api/lesson', '/api/progress', '/api/challenge', '/api/leaderboard',
+    '/api/analytics', '/api/badges', '/api/squad', '/api/connections', '/api/research', '/api/tutor'];
+  const required = new Set(mounts.flatMap((baseUrl) => ['GET', 'POST'].map((method) => requiredScopeFor({ method, baseUrl }))));
+  assert.deepEqual([...SCOPES].sort(), [...required].sort());
+});
+
+test('a token with the matching scope gets through as its owner', async () => {
+  tokenScopes = ['progress:read'];
+  const { req, passed } = await call('GET', '/api/progress');
+  assert.equal(passed, true);
+  assert.equal(req.userId, USER_ID);
+  assert.equal(req.authMethod, 'personal_access_token');
+  assert.deepEqual(req.tokenScopes, ['progress:read']);
+});
+
+test('a read scope does not allow writes', async () => {
+  tokenScopes = ['progress:read'];
+  const { res, passed } = await call('POST', '/api/progress');
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.requiredScope, 'progress:write');
+});
+
+test('a token is refused on routes outside the scope map whatever its scopes', async () => {
+  tokenScopes = [...SCOPES];
+  const { res, passed } = await call('GET', '/api/admin');
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.requiredScope, null);
+});
+
+test('a token carries only the role permissions its scopes cover', async () => {
+  tokenScopes = ['lesson:read', 'squad:write'];
+  const { req, passed } = await call('GET', '/api/lesson');
+  assert.equal(passed, true);
+  assert.deepEqual(req.permissions, ['lessons:read', 'squads:join']);
+});
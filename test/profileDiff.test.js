@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Skill = require('../src/models/Skill');
+const { invalidateTaxonomy } = require('../src/services/skillTaxonomyService');
+const { diffProfileWithResume, changedFields, applyProfileDiff } = require('../src/services/profileDiffService');
+
+const profile = () => ({
+  jobTitle: 'Frontend Developer',
+  company: 'Acme',
+  certifications: ['AWS Cloud Practitioner'],
+  currentSkillLevels: [
+    { skill: 'React', level: 'Intermediate' },
+    { skill: 'JavaScript', level: 'Advanced' },
+    { skill: 'jQuery', level: 'Advanced' },
+  ],
+});
+
+const resume = {
+  personalInfo: { jobTitle: 'frontend developer', company: 'Globex' },
+  background: { certifications: ['aws cloud practitioner', 'CKA', 'CKA'] },
+  skillsAssessment: {
+    currentSkillLevels: [
+      { skill: 'ReactJS', level: 'Advanced' },
+      { skill: 'js', level: 'Advanced' },
+      { skill: 'TypeScript', level: 'Guru' },
+    ],
+  },
+};
+
+let storedSkills = [];
+
+beforeEach(() => {
+  storedSkills = [];
+  invalidateTaxonomy();
+  mock.method(Skill, 'find', () => ({ lean: async () => storedSkills }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('diffProfileWithResume matches skills by canonical name', async () => {
+  const diff = await diffProfileWithResume(profile(), resume);
+
+  assert.deepEqual(diff.skills, {
+    added: [{ skill: 'TypeScript', level: 'Beginner' }],
+    removed: ['jQuery'],
+  });
+  assert.deepEqual(diff.currentSkillLevels, [{ skill: 'React', from: 'Intermediate', to: 'Advanced' }]);
+});
+
+test('diffProfileWithResume ignores case-only scalar changes and known certifications', async () => {
+  const diff = await diffProfileWithResume(profile(), resume);
+
+  assert.equal(diff.jobTitle, null);
+  assert.deepEqual(diff.company, { from: 'Acme', to: 'Globex' });
+  assert.deepEqual(diff.certifications, { added: ['CKA'] });
+  assert.deepEqual(changedFields(diff), ['skills', 'currentSkillLevels', 'certifications', 'company']);
+});
+
+test('diffProfileWithResume reports nothing for an empty analysis', async () => {
+  const diff = await diffProfileWithResume({ currentSkillLevels: [] }, {});
+  assert.deepEqual(changedFields(diff), []);
+});
+
+test('applyProfileDiff applies only the accepted sections', async () => {
+  const target = profile();
+  const diff = await diffProfileWithResume(target, resume);
+  const touched = await applyProfileDiff(target, diff, ['currentSkillLevels', 'company']);
+
+  assert.deepEqual(touched, [{ skill: 'React', level: 'Advanced' }]);
+  assert.deepEqual(target.currentSkillLevels.map((entry) => entry.skill), ['React', 'JavaScript', 'jQuery']);
+  assert.equal(target.currentSkillLevels[0].level, 'Advanced');
+  assert.equal(target.company, 'Globex');
+  assert.deepEqual(target.certifications, ['AWS Cloud Practitioner']);
+});
+
+test('diffProfileWithResume uses aliases added to the stored taxonomy', async () => {
+  storedSkills = [{ slug: 'jquery', name: 'jQuery', kind: 'skill', aliases: ['jq'], parent: null, related: [] }];
+  const diff = await diffProfileWithResume(profile(), {
+    skillsAssessment: { currentSkillLevels: [{ skill: 'JQ', level: 'Advanced' }] },
+  });
+
+  assert.deepEqual(diff.skills.added, []);
+  assert.deepEqual(diff.skills.removed, ['React', 'JavaScript']);
+});
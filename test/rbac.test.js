@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { permissionsForRoles } = require('../src/services/rbacService');
+const { SCOPES } = require('../src/services/personalAccessTokenService');
+
+test('permissionsForRoles merges the permissions of every role', () => {
+  assert.deepEqual(permissionsForRoles(['learner', 'author']), [
+    'lessons:read', 'challenges:join', 'squads:join', 'lessons:write', 'challenges:write',
+  ]);
+  assert.deepEqual(permissionsForRoles(['unknown']), []);
+});
+
+test('permissionsForRoles limits token requests to their scopes and never grants administration', () => {
+  assert.deepEqual(permissionsForRoles(['admin'], { scopes: SCOPES }), [
+    'squads:read', 'lessons:write', 'challenges:write', 'squads:manage',
+  ]);
+  assert.deepEqual(permissionsForRoles(['admin'], { scopes: [] }), []);
+});
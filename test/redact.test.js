@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { redactUrl } = require('../src/utils/redact');
+
+test('redactUrl leaves URLs without a query alone', () => {
+  assert.equal(redactUrl('/api/health'), '/api/health');
+  assert.equal(redactUrl(), '');
+});
+
+test('redactUrl replaces sensitive values and keeps the rest', () => {
+  assert.equal(
+    redactUrl('/api/auth/oidc/mock/callback?code=abc&state=xyz&access_token=t'),
+    '/api/auth/oidc/mock/callback?code=[REDACTED]&state=xyz&access_token=[REDACTED]'
+  );
+});
+
+test('redactUrl matches encoded key names', () => {
+  assert.equal(redactUrl('/x?pass%77ord=hunter2'), '/x?pass%77ord=[REDACTED]');
+});
+
+test('redactUrl redacts a pair whose key is not valid URI encoding instead of throwing', () => {
+  assert.equal(redactUrl('/api/health?%E0=1'), '/api/health?%E0=[REDACTED]');
+  assert.equal(redactUrl('/api/health?page=2&%E0%A4%A=secret'), '/api/health?page=2&%E0%A4%A=[REDACTED]');
+});
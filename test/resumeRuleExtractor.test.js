@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractResumeFields, mergeWithBaseline } = require('../src/services/resumeRuleExtractor');
+
+const baseline = extractResumeFields('Jane Doe\njane@x.io\nSkills: React, Node.js, Python, Docker, SQL, AWS');
+
+test('mergeWithBaseline collapses spellings of the same skill', () => {
+  const merged = mergeWithBaseline({ skillsAssessment: { skills: ['ReactJS', 'nodejs', 'Go'] } }, baseline);
+  const skills = merged.skillsAssessment.skills;
+
+  assert.deepEqual(skills.slice(0, 3), ['ReactJS', 'nodejs', 'Go']);
+  assert.ok(!skills.includes('React'));
+  assert.ok(!skills.includes('Node.js'));
+});
+
+test('mergeWithBaseline keeps at most three priority skills', () => {
+  const merged = mergeWithBaseline({ skillsAssessment: { prioritySkills: ['Go', 'Rust', 'Kotlin', 'Swift'] } }, baseline);
+  assert.deepEqual(merged.skillsAssessment.prioritySkills, ['Go', 'Rust', 'Kotlin']);
+
+  const rulesOnly = mergeWithBaseline({}, baseline);
+  assert.ok(rulesOnly.skillsAssessment.prioritySkills.length <= 3);
+});
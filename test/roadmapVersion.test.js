@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Roadmap = require('../src/models/Roadmap');
+const RoadmapVersion = require('../src/models/RoadmapVersion');
+const { diffSnapshots, rollbackRoadmap } = require('../src/services/roadmapVersionService');
+
+const step = (day, topic, extra = {}) => ({ day, topic, type: 'theory', concepts: [], resources: [], lessonIds: [], ...extra });
+
+test('diffSnapshots matches steps by topic', () => {
+  const from = {
+    name: 'JS roadmap',
+    overview: 'Basics',
+    steps: [step(1, 'Variables'), step(2, 'Functions'), step(3, 'Loops')],
+  };
+  const to = {
+    name: 'JS roadmap',
+    overview: 'Basics and the DOM',
+    steps: [step(1, 'Variables'), step(2, 'loops'), step(3, 'Functions', { type: 'practice' }), step(4, 'The DOM')],
+  };
+
+  const diff = diffSnapshots(from, to);
+  assert.deepEqual(diff.fields, ['overview']);
+  assert.equal(diff.steps.unchanged, 1);
+  assert.deepEqual(diff.steps.added.map((entry) => entry.topic), ['The DOM']);
+  assert.deepEqual(diff.steps.removed, []);
+  assert.deepEqual(diff.steps.changed, [
+    { topic: 'loops', fields: ['day'], from: { day: 3 }, to: { day: 2 } },
+    { topic: 'Functions', fields: ['day', 'type'], from: { day: 2, type: 'theory' }, to: { day: 3, type: 'practice' } },
+  ]);
+});
+
+test('diffSnapshots tells repeated topics apart by occurrence', () => {
+  const from = { steps: [step(1, 'Review'), step(5, 'Review')] };
+  const to = { steps: [step(1, 'Review')] };
+
+  const diff = diffSnapshots(from, to);
+  assert.equal(diff.steps.unchanged, 1);
+  assert.deepEqual(diff.steps.removed.map((entry) => entry.day), [5]);
+});
+
+// Versions stored in memory; the roadmap document itself is never written. The mocks
+// are restored when the test ends.
+function stubVersions(t, versions) {
+  const created = [];
+  t.mock.method(RoadmapVersion, 'findOne', ({ version }) => ({
+    lean: async () => versions.find((entry) => entry.version === version) || null,
+  }));
+  t.mock.method(RoadmapVersion, 'create', async (doc) => {
+    created.push(doc);
+    return doc;
+  });
+  t.mock.method(Roadmap, 'findByIdAndUpdate', () => ({ lean: async () => ({ version: versions.length + created.length + 1 }) }));
+  return created;
+}
+
+function roadmapAt(version, fields) {
+  const roadmap = new Roadmap({ userId: new mongoose.Types.ObjectId(), name: 'JS roadmap', skill: 'JavaScript', version, ...fields });
+  roadmap.save = async () => roadmap;
+  return roadmap;
+}
+
+test('rollbackRoadmap restores an earlier version and keeps lessons on surviving steps', async (t) => {
+  const created = stubVersions(t, [
+    { version: 1, snapshot: { name: 'JS roadmap', skill: 'JavaScript', overview: 'v1', steps: [step(1, 'Variables', { lessonIds: ['vars-1'] }), step(2, 'Functions')] } },
+    { version: 2, snapshot: {} },
+  ]);
+  const roadmap = roadmapAt(2, {
+    skill: 'JavaScript',
+    overview: 'v2',
+    steps: [step(1, 'Functions', { lessonIds: ['fn-1'] }), step(2, 'Closures', { lessonIds: ['cl-1'] })],
+  });
+
+  await rollbackRoadmap(roadmap, 1);
+
+  assert.equal(roadmap.overview, 'v1');
+  assert.deepEqual(roadmap.steps.map((entry) => [entry.topic, [...entry.lessonIds]]), [
+    ['Variables', ['vars-1']],
+    ['Functions', ['fn-1']],
+  ]);
+  assert.equal(roadmap.version, 3);
+  assert.equal(created.length, 1);
+  assert.equal(created[0].reason, 'rollback');
+  assert.equal(created[0].note, 'Rolled back to version 1');
+  assert.equal(created[0].snapshot.overview, 'v1');
+});
+
+test('rollbackRoadmap refuses archived roadmaps, unknown versions and the current version', async (t) => {
+  stubVersions(t, [{ version: 1, snapshot: { steps: [] } }, { version: 2, snapshot: { steps: [] } }]);
+
+  await assert.rejects(rollbackRoadmap(roadmapAt(2, { status: 'archived' }), 1), { status: 409, message: 'Roadmap is archived' });
+  await assert.rejects(rollbackRoadmap(roadmapAt(2), 7), { status: 404 });
+  await assert.rejects(rollbackRoadmap(roadmapAt(2), 2), { status: 409, message: 'Roadmap is already at this version' });
+});
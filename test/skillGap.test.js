@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreSkillGap } = require('../src/services/analyticsService');
+const { findCareerRole } = require('../src/services/careerRoles');
+
+const role = {
+  slug: 'test-role',
+  title: 'Test Role',
+  skills: [
+    { skill: 'Alpha', level: 'Advanced', core: true },
+    { skill: 'Beta', level: 'Intermediate', core: true },
+    { skill: 'Gamma', level: 'Beginner' },
+    { skill: 'Delta', level: 'Intermediate' },
+  ],
+};
+
+const evidence = (selfReported = {}, practised = {}, onRoadmap = []) => ({
+  selfReported: new Map(Object.entries(selfReported)),
+  practised: new Map(Object.entries(practised)),
+  onRoadmap: new Set(onRoadmap),
+});
+
+test('scoreSkillGap averages self-reported and practised strength', () => {
+  const { skills } = scoreSkillGap(role, evidence({ alpha: 70, beta: 40 }, { beta: 60, gamma: 10 }));
+  const byName = Object.fromEntries(skills.map((entry) => [entry.skill, entry]));
+
+  assert.deepEqual(
+    { current: byName.Beta.current, gap: byName.Beta.gap, status: byName.Beta.status },
+    { current: 50, gap: 0, status: 'met' }
+  );
+  assert.deepEqual(
+    { current: byName.Gamma.current, selfReported: byName.Gamma.selfReported, gap: byName.Gamma.gap, status: byName.Gamma.status },
+    { current: 10, selfReported: null, gap: 15, status: 'developing' }
+  );
+  assert.equal(byName.Delta.status, 'missing');
+});
+
+test('scoreSkillGap weights core skills double in the score', () => {
+  // Core skills met (2 + 2), Gamma at 10/25 (0.4), Delta at 0 over a total weight of 6
+  const { score } = scoreSkillGap(role, evidence({ alpha: 70, beta: 50 }, { gamma: 10 }));
+  assert.equal(score, 73);
+  assert.equal(scoreSkillGap(role, evidence()).score, 0);
+});
+
+test('scoreSkillGap recommends core gaps first and skips skills already on a roadmap', () => {
+  const { recommendations, skills } = scoreSkillGap(role, evidence({ beta: 40 }, {}, ['alpha']));
+
+  assert.equal(skills.find((entry) => entry.skill === 'Alpha').onRoadmap, true);
+  assert.deepEqual(recommendations.map((entry) => entry.skill), ['Beta', 'Delta', 'Gamma']);
+  assert.equal(recommendations[0].reason, 'Core skill for Test Role, 10 points below target');
+  assert.equal(recommendations[1].reason, 'Supporting skill for Test Role you have not started');
+});
+
+test('findCareerRole matches role titles and aliases in free text', () => {
+  assert.equal(findCareerRole('Front-end Developer').slug, 'frontend-engineer');
+  assert.equal(findCareerRole('Senior Data Scientist at Acme').slug, 'data-scientist');
+  assert.equal(findCareerRole('Astronaut'), null);
+});
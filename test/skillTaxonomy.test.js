@@ -0,0 +1,35 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Skill = require('../src/models/Skill');
+const { updateSkill, invalidateTaxonomy } = require('../src/services/skillTaxonomyService');
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  invalidateTaxonomy();
+  mock.method(Skill, 'find', () => ({ lean: async () => [] }));
+  mock.method(Skill, 'findOne', async () => null);
+  mock.method(Skill.prototype, 'save', async function save() {
+    saved.push(this.toObject());
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('updateSkill stores a dictionary entry on its first edit', async () => {
+  const updated = await updateSkill('react', { aliases: ['React.js', 'reactjs'] });
+
+  assert.equal(saved.length, 1);
+  assert.equal(updated.slug, 'react');
+  assert.equal(updated.name, 'React');
+  assert.equal(updated.parent, 'web-development');
+  assert.deepEqual(updated.aliases, ['react.js', 'reactjs']);
+});
+
+test('updateSkill returns null for a slug outside the taxonomy', async () => {
+  assert.equal(await updateSkill('not-a-skill', { name: 'Nope' }), null);
+  assert.equal(saved.length, 0);
+});